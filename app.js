@@ -0,0 +1,119 @@
+import express from "express"
+import cookieParser from "cookie-parser"
+import cors from "cors"
+import { createServer } from "http"
+import { Server } from "socket.io"
+import { config } from "./config/index.js"
+import { corsOptions, socketCorsOptions } from "./config/cors.js"
+
+// Routes
+import authRoutes from "./routes/auth.routes.js"
+import gigRoutes from "./routes/gig.routes.js"
+import bidRoutes from "./routes/bid.routes.js"
+import contractRoutes from "./routes/contract.routes.js"
+import reviewRoutes from "./routes/review.routes.js"
+import conversationRoutes from "./routes/conversation.routes.js"
+import notificationRoutes from "./routes/notification.routes.js"
+import taxonomyRoutes from "./routes/taxonomy.routes.js"
+import userRoutes from "./routes/user.routes.js"
+import savedSearchRoutes from "./routes/savedSearch.routes.js"
+import attachmentRoutes from "./routes/attachment.routes.js"
+import adminRoutes from "./routes/admin.routes.js"
+import healthRoutes from "./routes/health.routes.js"
+
+// Socket handlers
+import { socketAuth, registerSessionHandlers } from "./sockets/auth.socket.js"
+import { registerLogContext } from "./sockets/logContext.socket.js"
+import { registerRateLimit } from "./sockets/rateLimit.socket.js"
+import { registerChatHandlers } from "./sockets/chat.socket.js"
+
+// Rate limiting
+import { rateLimit } from "./middleware/rateLimit.middleware.js"
+
+// Request ids, logging and error handling
+import { requestId } from "./middleware/requestId.middleware.js"
+import { accessLog } from "./middleware/accessLog.middleware.js"
+import { errorHandler, notFound } from "./middleware/error.middleware.js"
+
+// Observability
+import { getMetrics } from "./controllers/metrics.controller.js"
+
+// Graceful shutdown
+import { closeConnectionsOnShutdown } from "./utils/shutdown.js"
+
+// Build the Express app and its Socket.IO server. Nothing here connects to
+// MongoDB or listens on a port, so tests can import the app and drive it
+// directly; server.js does the actual startup.
+export const createApp = () => {
+  const app = express()
+  const httpServer = createServer(app)
+
+  // Behind a proxy, req.ip (used for rate limiting) must come from X-Forwarded-For
+  app.set("trust proxy", config.trustProxy)
+
+  /* =========================
+     CORS
+     Only origins listed in CORS_ORIGINS (see config/cors.js)
+  ========================= */
+  app.use(cors(corsOptions))
+
+  // Preflight for every route, with the same policy
+  app.options("*", cors(corsOptions))
+
+  /* =========================
+     MIDDLEWARE
+  ========================= */
+  app.use(requestId)
+  app.use(accessLog)
+  app.use(closeConnectionsOnShutdown)
+  app.use(express.json())
+  app.use(express.urlencoded({ extended: true }))
+  app.use(cookieParser())
+
+  /* =========================
+     ROUTES
+  ========================= */
+  // Probes and Prometheus scrapes are kept outside the per-IP API budget
+  app.use("/api/health", healthRoutes)
+  app.get("/api/metrics", getMetrics)
+
+  app.use("/api", rateLimit("api"))
+
+  app.use("/api/auth", authRoutes)
+  app.use("/api/gigs", gigRoutes)
+  app.use("/api/bids", bidRoutes)
+  app.use("/api/contracts", contractRoutes)
+  app.use("/api/reviews", reviewRoutes)
+  app.use("/api/conversations", conversationRoutes)
+  app.use("/api/notifications", notificationRoutes)
+  app.use("/api/taxonomy", taxonomyRoutes)
+  app.use("/api/users", userRoutes)
+  app.use("/api/saved-searches", savedSearchRoutes)
+  app.use("/api/attachments", attachmentRoutes)
+  app.use("/api/admin", adminRoutes)
+
+  /* =========================
+     SOCKET.IO (SAFE)
+  ========================= */
+  const io = new Server(httpServer, socketCorsOptions)
+
+  app.set("io", io)
+
+  // Every connection must carry a valid token
+  io.use(socketAuth)
+
+  io.on("connection", (socket) => {
+    registerLogContext(socket)
+    registerRateLimit(socket)
+    registerSessionHandlers(io, socket)
+    registerChatHandlers(io, socket)
+  })
+
+  /* =========================
+     ERROR HANDLER
+  ========================= */
+  app.use("/api", notFound)
+  app.use(errorHandler)
+
+  return { app, httpServer, io }
+}
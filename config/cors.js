@@ -0,0 +1,27 @@
+import { config } from "./index.js"
+
+// Requests without an Origin header (curl, server-to-server calls, same-origin
+// requests through the Vercel proxy) aren't cross-origin and are let through.
+// Browsers on any other origin must be listed in CORS_ORIGINS.
+export const isAllowedOrigin = (origin) => !origin || config.cors.origins.includes(origin)
+
+// Disallowed origins get no CORS headers, so the browser blocks the response
+const checkOrigin = (origin, callback) => callback(null, isAllowedOrigin(origin))
+
+export const corsOptions = {
+  origin: checkOrigin,
+  credentials: true, // cookies / auth
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+  // Let clients on other origins read the rate limit headers and back off
+  exposedHeaders: ["X-Request-Id", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"],
+}
+
+export const socketCorsOptions = {
+  cors: {
+    origin: checkOrigin,
+    credentials: true,
+  },
+  // CORS headers alone don't stop WebSocket upgrades, so check the handshake too
+  allowRequest: (req, callback) => callback(null, isAllowedOrigin(req.headers.origin)),
+}
@@ -0,0 +1,219 @@
+import os from "os"
+import path from "path"
+import dotenv from "dotenv"
+
+// Central configuration. Every environment variable the app reads is parsed
+// and validated here, once, at startup; the rest of the code imports
+// `config` instead of touching process.env.
+//
+// Profiles (NODE_ENV):
+//   development  local defaults, permissive enough to run with just a .env
+//   test         used by the integration suite, no database URI required
+//   production   secure cookies by default, explicit CORS origins required
+
+dotenv.config()
+
+const PROFILES = ["development", "test", "production"]
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"]
+const SAME_SITE_VALUES = ["lax", "strict", "none"]
+const MIN_PRODUCTION_SECRET_LENGTH = 32
+
+// Thrown when the environment doesn't describe a usable configuration;
+// lists every problem at once so they can all be fixed in one go
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`)
+    this.name = "ConfigError"
+    this.problems = problems
+  }
+}
+
+// Readers for one variable each. Problems are collected rather than thrown.
+const createReader = (env, problems) => {
+  const raw = (name) => {
+    const value = env[name]
+    return value === undefined || value.trim() === "" ? undefined : value.trim()
+  }
+
+  const string = (name, { required = false, fallback } = {}) => {
+    const value = raw(name)
+    if (value === undefined && required) problems.push(`${name} is required`)
+    return value ?? fallback
+  }
+
+  const number = (name, { fallback, min = 0 } = {}) => {
+    const value = raw(name)
+    if (value === undefined) return fallback
+
+    const parsed = Number(value)
+    if (!Number.isFinite(parsed) || parsed < min) {
+      problems.push(`${name} must be a number of at least ${min}, got "${value}"`)
+      return fallback
+    }
+    return parsed
+  }
+
+  const boolean = (name, { fallback } = {}) => {
+    const value = raw(name)?.toLowerCase()
+    if (value === undefined) return fallback
+    if (value === "true" || value === "1") return true
+    if (value === "false" || value === "0") return false
+
+    problems.push(`${name} must be true or false, got "${value}"`)
+    return fallback
+  }
+
+  const oneOf = (name, values, { fallback } = {}) => {
+    const value = raw(name)?.toLowerCase()
+    if (value === undefined) return fallback
+    if (values.includes(value)) return value
+
+    problems.push(`${name} must be one of ${values.join(", ")}, got "${value}"`)
+    return fallback
+  }
+
+  const list = (name, { required = false, fallback = [] } = {}) => {
+    const value = raw(name)
+    if (value === undefined) {
+      if (required) problems.push(`${name} is required`)
+      return fallback
+    }
+    return value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean)
+  }
+
+  return { raw, string, number, boolean, oneOf, list }
+}
+
+// RATE_LIMIT_<GROUP>_MAX / RATE_LIMIT_<GROUP>_WINDOW_MS overrides, keyed by GROUP
+const readRateLimits = (env, read) => {
+  const rateLimits = {}
+
+  for (const name of Object.keys(env)) {
+    const match = /^RATE_LIMIT_([A-Z_]+)_(MAX|WINDOW_MS)$/.exec(name)
+    if (!match) continue
+
+    const [, group, setting] = match
+    rateLimits[group] ||= {}
+    rateLimits[group][setting === "MAX" ? "max" : "windowMs"] = read.number(name, { min: 1 })
+  }
+
+  return rateLimits
+}
+
+// Trust proxy accepts a hop count or a boolean, like Express itself
+const readTrustProxy = (read, problems) => {
+  const value = read.raw("TRUST_PROXY")
+  if (value === undefined || value === "false") return false
+  if (value === "true") return true
+
+  const hops = Number(value)
+  if (!Number.isInteger(hops) || hops < 0) {
+    problems.push(`TRUST_PROXY must be true, false or a number of proxy hops, got "${value}"`)
+    return false
+  }
+  return hops
+}
+
+// Build and validate the configuration from `env`. Throws a ConfigError
+// listing every problem found.
+export const loadConfig = (env = process.env) => {
+  const problems = []
+  const read = createReader(env, problems)
+
+  const profile = read.oneOf("NODE_ENV", PROFILES, { fallback: "development" })
+  const isProduction = profile === "production"
+  const isTest = profile === "test"
+
+  const jwtSecret = read.string("JWT_SECRET", { required: !isTest, fallback: isTest ? "test-secret" : undefined })
+  if (isProduction && jwtSecret && jwtSecret.length < MIN_PRODUCTION_SECRET_LENGTH) {
+    problems.push(`JWT_SECRET must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`)
+  }
+
+  const corsOrigins = read.list("CORS_ORIGINS", {
+    required: isProduction,
+    fallback: isProduction ? [] : ["http://localhost:3000", "http://localhost:5173"],
+  })
+  if (corsOrigins.includes("*")) {
+    problems.push("CORS_ORIGINS cannot contain * because credentials (cookies) are allowed; list the origins")
+  }
+  for (const origin of corsOrigins.filter((item) => item !== "*")) {
+    if (!/^https?:\/\/[^/]+$/.test(origin)) {
+      problems.push(`CORS_ORIGINS entries must look like https://example.com (no path), got "${origin}"`)
+    }
+  }
+
+  const cookieSecure = read.boolean("COOKIE_SECURE", { fallback: isProduction })
+  const cookieSameSite = read.oneOf("COOKIE_SAME_SITE", SAME_SITE_VALUES, { fallback: "lax" })
+  if (cookieSameSite === "none" && !cookieSecure) {
+    problems.push("COOKIE_SAME_SITE=none requires COOKIE_SECURE=true")
+  }
+
+  const mailTransport = read.oneOf("MAIL_TRANSPORT", ["console", "file"], { fallback: "console" })
+
+  const config = {
+    env: profile,
+    isProduction,
+    isTest,
+
+    port: read.number("PORT", { fallback: 5000, min: 1 }),
+    mongodbUri: read.string("MONGODB_URI", { required: !isTest }),
+    trustProxy: readTrustProxy(read, problems),
+
+    jwt: {
+      secret: jwtSecret,
+      accessTtlSeconds: read.number("JWT_ACCESS_TTL_SECONDS", { fallback: 15 * 60, min: 1 }),
+      refreshTtlSeconds: read.number("REFRESH_TOKEN_TTL_SECONDS", { fallback: 30 * 24 * 60 * 60, min: 1 }),
+    },
+
+    cookies: {
+      secure: cookieSecure,
+      sameSite: cookieSameSite,
+    },
+
+    cors: {
+      origins: corsOrigins,
+    },
+
+    // Base URL of the web client, used for links in emails
+    clientUrl: read.string("CLIENT_URL", { fallback: corsOrigins[0] || "http://localhost:3000" }),
+
+    mail: {
+      transport: mailTransport,
+      dir: read.string("MAIL_DIR", { fallback: "tmp/mail" }),
+      from: read.string("MAIL_FROM", { fallback: "GigFlow <no-reply@gigflow.local>" }),
+    },
+
+    // Where uploaded attachments are kept; "local" is the only driver so far
+    storage: {
+      driver: read.oneOf("STORAGE_DRIVER", ["local"], { fallback: "local" }),
+      dir: read.string("UPLOAD_DIR", {
+        fallback: isTest ? path.join(os.tmpdir(), "gigflow-test-uploads") : "uploads",
+      }),
+    },
+
+    uploads: {
+      maxFileBytes: read.number("UPLOAD_MAX_FILE_BYTES", { fallback: 10 * 1024 * 1024, min: 1 }),
+    },
+
+    logLevel: read.oneOf("LOG_LEVEL", LOG_LEVELS, { fallback: isTest ? "silent" : "info" }),
+    metricsToken: read.string("METRICS_TOKEN"),
+    shutdownTimeoutMs: read.number("SHUTDOWN_TIMEOUT_MS", { fallback: 10 * 1000, min: 1 }),
+
+    // Background jobs (deadlines, bid expiry, digests); see jobs/index.js
+    scheduler: {
+      enabled: read.boolean("SCHEDULER_ENABLED", { fallback: true }),
+      pollMs: read.number("SCHEDULER_POLL_MS", { fallback: 15 * 1000, min: 1000 }),
+    },
+
+    rateLimits: readRateLimits(env, read),
+  }
+
+  if (problems.length) throw new ConfigError(problems)
+
+  return config
+}
+
+export const config = loadConfig()
@@ -0,0 +1,290 @@
+import mongoose from "mongoose"
+import User from "../models/User.model.js"
+import Gig from "../models/Gig.model.js"
+import Bid from "../models/Bid.model.js"
+import AuditLog from "../models/AuditLog.model.js"
+import { ROLES, isSameUser } from "../middleware/authorize.middleware.js"
+import { recordAudit } from "../services/audit.service.js"
+import { revokeAllSessions } from "../services/session.service.js"
+import { deleteGigWithBids } from "../services/gig.service.js"
+import { PUBLIC_USER_FIELDS } from "../services/reputation.service.js"
+import { escapeRegex } from "../utils/gigSearch.js"
+import { paginate } from "../utils/pagination.js"
+import { BadRequestError, NotFoundError } from "../utils/errors.js"
+
+// @desc    List users
+// @route   GET /api/admin/users?search=&role=&suspended=true&cursor=&limit=
+// @access  Private (Admin only)
+export const listUsers = async (req, res, next) => {
+  try {
+    const { search, role, suspended, cursor, limit } = req.query
+    const filter = {}
+
+    if (typeof search === "string" && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), "i")
+      filter.$or = [{ name: pattern }, { email: pattern }]
+    }
+
+    if (role) {
+      filter.roles = role
+    }
+
+    if (suspended === "true") filter.suspendedAt = { $ne: null }
+    if (suspended === "false") filter.suspendedAt = null
+
+    const { items: users, total, nextCursor } = await paginate(User, { filter, cursor, limit })
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      nextCursor,
+      users,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Suspend a user and end all of their sessions
+// @route   PATCH /api/admin/users/:id/suspend
+// @access  Private (Admin only)
+export const suspendUser = async (req, res, next) => {
+  try {
+    const { reason } = req.body
+
+    if (isSameUser(req.params.id, req.user)) {
+      throw new BadRequestError("You cannot suspend yourself", { code: "SELF_MODERATION" })
+    }
+
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      throw new NotFoundError("User not found")
+    }
+
+    user.suspendedAt = new Date()
+    user.suspensionReason = reason
+    await user.save()
+
+    await revokeAllSessions(user._id, "user_revoked")
+
+    // Drop any live sockets straight away
+    req.app.get("io")?.in(`user:${user._id}`).disconnectSockets(true)
+
+    await recordAudit(req, { action: "user.suspend", targetType: "User", targetId: user._id, reason })
+
+    res.status(200).json({
+      success: true,
+      message: "User suspended",
+      user,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Lift a suspension
+// @route   PATCH /api/admin/users/:id/unsuspend
+// @access  Private (Admin only)
+export const unsuspendUser = async (req, res, next) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { suspendedAt: null }, $unset: { suspensionReason: 1 } },
+      { new: true },
+    )
+
+    if (!user) {
+      throw new NotFoundError("User not found")
+    }
+
+    await recordAudit(req, {
+      action: "user.unsuspend",
+      targetType: "User",
+      targetId: user._id,
+      reason: req.body?.reason,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "User unsuspended",
+      user,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Replace a user's roles
+// @route   PUT /api/admin/users/:id/roles
+// @access  Private (Admin only)
+export const setUserRoles = async (req, res, next) => {
+  try {
+    const { roles } = req.body
+
+    if (!Array.isArray(roles) || !roles.length || roles.some((role) => !ROLES.includes(role))) {
+      throw new BadRequestError(`roles must be a non-empty list of ${ROLES.join(", ")}`)
+    }
+
+    if (isSameUser(req.params.id, req.user) && !roles.includes("admin")) {
+      throw new BadRequestError("You cannot remove your own admin role", { code: "SELF_MODERATION" })
+    }
+
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      throw new NotFoundError("User not found")
+    }
+
+    const previousRoles = [...user.roles]
+    user.roles = [...new Set(roles)]
+    await user.save()
+
+    await recordAudit(req, {
+      action: "user.roles",
+      targetType: "User",
+      targetId: user._id,
+      details: { from: previousRoles, to: user.roles },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Roles updated",
+      user,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Build a handler that hides or unhides a gig from every listing
+const setGigHidden = (hidden) => async (req, res, next) => {
+  try {
+    const { reason } = req.body || {}
+
+    const update = hidden
+      ? { $set: { hiddenAt: new Date(), hiddenReason: reason } }
+      : { $set: { hiddenAt: null }, $unset: { hiddenReason: 1 } }
+
+    const gig = await Gig.findByIdAndUpdate(req.params.id, update, { new: true })
+
+    if (!gig) {
+      throw new NotFoundError("Gig not found")
+    }
+
+    await recordAudit(req, { action: hidden ? "gig.hide" : "gig.unhide", targetType: "Gig", targetId: gig._id, reason })
+
+    res.status(200).json({
+      success: true,
+      message: hidden ? "Gig hidden" : "Gig visible again",
+      gig,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Hide a gig from listings
+// @route   PATCH /api/admin/gigs/:id/hide
+// @access  Private (Admin only)
+export const hideGig = setGigHidden(true)
+
+// @desc    Make a hidden gig visible again
+// @route   PATCH /api/admin/gigs/:id/unhide
+// @access  Private (Admin only)
+export const unhideGig = setGigHidden(false)
+
+// @desc    Remove an open gig and its bids (hide gigs that are under way instead)
+// @route   DELETE /api/admin/gigs/:id
+// @access  Private (Admin only)
+export const removeGig = async (req, res, next) => {
+  try {
+    const gig = await Gig.findById(req.params.id)
+
+    if (!gig) {
+      throw new NotFoundError("Gig not found")
+    }
+
+    await deleteGigWithBids(gig, req.app.get("io"), { removedBy: "a moderator" })
+
+    await recordAudit(req, {
+      action: "gig.delete",
+      targetType: "Gig",
+      targetId: gig._id,
+      reason: req.body?.reason,
+      details: { title: gig.title, ownerId: gig.ownerId },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Gig and associated bids deleted successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    View any bid
+// @route   GET /api/admin/bids/:id
+// @access  Private (Admin only)
+export const getAnyBid = async (req, res, next) => {
+  try {
+    const bid = await Bid.findById(req.params.id)
+      .populate("freelancerId", PUBLIC_USER_FIELDS)
+      .populate("gigId", "title description budget status ownerId")
+
+    if (!bid) {
+      throw new NotFoundError("Bid not found")
+    }
+
+    await recordAudit(req, { action: "bid.view", targetType: "Bid", targetId: bid._id })
+
+    res.status(200).json({
+      success: true,
+      bid,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get the admin audit trail, newest first
+// @route   GET /api/admin/audit?actor=&targetId=&action=&cursor=&limit=
+// @access  Private (Admin only)
+export const getAuditLog = async (req, res, next) => {
+  try {
+    const { actor, targetId, action, cursor, limit } = req.query
+    const filter = {}
+
+    for (const [key, value] of [
+      ["actorId", actor],
+      ["targetId", targetId],
+    ]) {
+      if (!value) continue
+      if (!mongoose.isValidObjectId(value)) {
+        throw new BadRequestError(`${key === "actorId" ? "actor" : key} must be a valid id`)
+      }
+      filter[key] = value
+    }
+
+    if (action) filter.action = action
+
+    const { items: entries, total, nextCursor } = await paginate(AuditLog, {
+      filter,
+      cursor,
+      limit,
+      populate: [["actorId", "name email"]],
+    })
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      nextCursor,
+      entries,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
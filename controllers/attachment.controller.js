@@ -0,0 +1,266 @@
+import Attachment from "../models/Attachment.model.js"
+import Bid from "../models/Bid.model.js"
+import Contract from "../models/Contract.model.js"
+import Gig from "../models/Gig.model.js"
+import {
+  canAccessAttachment,
+  canAccessGigFiles,
+  removeAttachments,
+  saveAttachments,
+} from "../services/attachment.service.js"
+import { getStorage } from "../services/storage.service.js"
+import { isSameUser } from "../middleware/authorize.middleware.js"
+import { isOpenBid } from "../utils/bidLifecycle.js"
+import { ConflictError, ForbiddenError, NotFoundError, UnauthorizedError } from "../utils/errors.js"
+
+// Milestones still accepting deliverables: funded and not yet submitted
+const DELIVERABLE_STATUSES = ["funded", "changes_requested"]
+
+// Set for a file download, dropped again if the file can't be read
+const DOWNLOAD_HEADERS = ["Content-Disposition", "Content-Type", "Content-Length", "Cache-Control"]
+
+const listAttachments = (filter) => Attachment.find(filter).populate("uploadedBy", "name").sort({ createdAt: 1 })
+
+const getDeliverableMilestone = (contract, milestoneId) => {
+  const milestone = contract.milestones.id(milestoneId)
+
+  if (!milestone) {
+    throw new NotFoundError("Milestone not found")
+  }
+
+  if (contract.status !== "active" || !DELIVERABLE_STATUSES.includes(milestone.status)) {
+    throw new ConflictError(`Cannot change deliverables of a milestone that is ${milestone.status.replace("_", " ")}`, {
+      code: "INVALID_TRANSITION",
+      details: { status: milestone.status },
+    })
+  }
+
+  return milestone
+}
+
+const sendCreated = (res, attachments) =>
+  res.status(201).json({
+    success: true,
+    message: `${attachments.length} file(s) attached`,
+    attachments,
+  })
+
+// @desc    Attach files to a gig
+// @route   POST /api/gigs/:id/attachments (multipart, field "files")
+// @access  Private (Owner only)
+export const uploadGigAttachments = async (req, res, next) => {
+  try {
+    // Loaded and ownership-checked by requireOwnership
+    const attachments = await saveAttachments(req.files, { kind: "gig", gigId: req.gig._id }, req.user._id)
+    sendCreated(res, attachments)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    List a gig's attachments
+// @route   GET /api/gigs/:id/attachments
+// @access  Public (invite-only gigs: owner and invitees; hidden gigs: owner and admins)
+export const getGigAttachments = async (req, res, next) => {
+  try {
+    const gig = await Gig.findById(req.params.id).select("ownerId visibility hiddenAt")
+
+    if (!(await canAccessGigFiles(gig, req.user))) {
+      throw new NotFoundError("Gig not found")
+    }
+
+    const attachments = await listAttachments({ kind: "gig", gigId: gig._id })
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      attachments,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Attach files to an open bid
+// @route   POST /api/bids/:bidId/attachments (multipart, field "files")
+// @access  Private (Bid owner only)
+export const uploadBidAttachments = async (req, res, next) => {
+  try {
+    // Loaded and ownership-checked by requireOwnership
+    const { bid } = req
+
+    if (!isOpenBid(bid)) {
+      throw new ConflictError("Cannot attach files to a bid that is not open", { code: "BID_NOT_PENDING" })
+    }
+
+    const attachments = await saveAttachments(
+      req.files,
+      { kind: "bid", gigId: bid.gigId, bidId: bid._id },
+      req.user._id,
+    )
+    sendCreated(res, attachments)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    List a bid's attachments
+// @route   GET /api/bids/:bidId/attachments
+// @access  Private (Bid owner and gig owner)
+export const getBidAttachments = async (req, res, next) => {
+  try {
+    const bid = await Bid.findById(req.params.bidId).populate("gigId", "ownerId")
+
+    if (!bid) {
+      throw new NotFoundError("Bid not found")
+    }
+
+    if (!isSameUser(bid.freelancerId, req.user) && !isSameUser(bid.gigId?.ownerId, req.user)) {
+      throw new ForbiddenError("Not authorized to view this bid's attachments")
+    }
+
+    const attachments = await listAttachments({ kind: "bid", bidId: bid._id })
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      attachments,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Upload deliverables for a funded milestone
+// @route   POST /api/contracts/:id/milestones/:milestoneId/attachments (multipart, field "files")
+// @access  Private (Freelancer only)
+export const uploadDeliverables = async (req, res, next) => {
+  try {
+    // Loaded and checked to be the freelancer's by requireOwnership
+    const { contract } = req
+    const milestone = getDeliverableMilestone(contract, req.params.milestoneId)
+
+    const attachments = await saveAttachments(
+      req.files,
+      { kind: "deliverable", gigId: contract.gigId, contractId: contract._id, milestoneId: milestone._id },
+      req.user._id,
+    )
+    sendCreated(res, attachments)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    List a contract's deliverables, optionally for one milestone
+// @route   GET /api/contracts/:id/attachments?milestoneId=
+// @access  Private (Contract parties only)
+export const getContractAttachments = async (req, res, next) => {
+  try {
+    const contract = await Contract.findById(req.params.id).select("ownerId freelancerId")
+
+    if (!contract) {
+      throw new NotFoundError("Contract not found")
+    }
+
+    if (!isSameUser(contract.ownerId, req.user) && !isSameUser(contract.freelancerId, req.user)) {
+      throw new ForbiddenError("Not authorized to view this contract")
+    }
+
+    const filter = { kind: "deliverable", contractId: contract._id }
+    if (req.query.milestoneId) {
+      filter.milestoneId = req.query.milestoneId
+    }
+
+    const attachments = await listAttachments(filter)
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      attachments,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Download an attachment
+// @route   GET /api/attachments/:id
+// @access  Public for gig files, otherwise the parties involved
+export const downloadAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findById(req.params.id).select("+storageKey")
+
+    if (!attachment) {
+      throw new NotFoundError("Attachment not found")
+    }
+
+    if (!(await canAccessAttachment(attachment, req.user))) {
+      if (!req.user) {
+        throw new UnauthorizedError("Log in to download this file", { code: "TOKEN_MISSING" })
+      }
+      throw new ForbiddenError("Not authorized to download this file")
+    }
+
+    const stream = getStorage().createReadStream(attachment.storageKey)
+
+    stream.once("error", (error) => {
+      if (res.headersSent) return res.destroy(error)
+
+      // Nothing was sent yet; answer with a normal error envelope instead
+      for (const header of DOWNLOAD_HEADERS) res.removeHeader(header)
+      next(error.code === "ENOENT" ? new NotFoundError("File is no longer available") : error)
+    })
+
+    // Always download, never render: uploaded content must not run in our origin
+    res.attachment(attachment.originalName)
+    res.set({
+      "Content-Type": attachment.mimeType,
+      "Content-Length": String(attachment.size),
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, no-store",
+    })
+    stream.pipe(res)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Delete an attachment. Bid files can only be removed while the bid is
+//          open, deliverables until the milestone is submitted.
+// @route   DELETE /api/attachments/:id
+// @access  Private (Uploader only)
+export const deleteAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findById(req.params.id)
+
+    if (!attachment) {
+      throw new NotFoundError("Attachment not found")
+    }
+
+    if (!isSameUser(attachment.uploadedBy, req.user)) {
+      throw new ForbiddenError("Not authorized to delete this file")
+    }
+
+    // Proposals and delivered work stay as they were once they've been acted on
+    if (attachment.kind === "bid") {
+      const bid = await Bid.findById(attachment.bidId).select("status")
+      if (bid && !isOpenBid(bid)) {
+        throw new ConflictError("Cannot remove files from a bid that is not open", { code: "BID_NOT_PENDING" })
+      }
+    }
+
+    if (attachment.kind === "deliverable") {
+      const contract = await Contract.findById(attachment.contractId)
+      if (contract) getDeliverableMilestone(contract, attachment.milestoneId)
+    }
+
+    await removeAttachments({ _id: attachment._id })
+
+    res.status(200).json({
+      success: true,
+      message: "Attachment deleted successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
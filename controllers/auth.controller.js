@@ -1,23 +1,67 @@
 import jwt from "jsonwebtoken"
+import { config } from "../config/index.js"
 import User from "../models/User.model.js"
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+} from "../services/session.service.js"
+import { serializeProfile } from "../services/profile.service.js"
+import { issueUserToken, consumeUserToken } from "../services/userToken.service.js"
+import { sendVerificationEmail, sendPasswordResetEmail } from "../services/mail.service.js"
+import { recordLoginFailure, clearLoginFailures } from "../middleware/rateLimit.middleware.js"
+import { BadRequestError, ConflictError, NotFoundError, UnauthorizedError } from "../utils/errors.js"
+import { logger } from "../utils/logger.js"
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+const SIGNUP_ROLES = ["client", "freelancer"]
+
+// The refresh cookie is only ever sent to the auth routes
+const REFRESH_COOKIE_PATH = "/api/auth"
+
+// Generate a short-lived access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, config.jwt.secret, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
   })
 }
 
-// Set JWT cookie
-const setTokenCookie = (res, token) => {
-  const cookieOptions = {
-    httpOnly: true,
-    secure: process.env.COOKIE_SECURE === "true",
-    sameSite: process.env.COOKIE_SAME_SITE || "lax",
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-  }
+const baseCookieOptions = () => ({
+  httpOnly: true,
+  secure: config.cookies.secure,
+  sameSite: config.cookies.sameSite,
+})
+
+// Set the access and refresh token cookies
+const setTokenCookies = (res, token, refreshToken) => {
+  res.cookie("token", token, {
+    ...baseCookieOptions(),
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000,
+  })
+
+  res.cookie("refreshToken", refreshToken, {
+    ...baseCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_TTL_SECONDS * 1000,
+  })
+}
+
+const clearTokenCookies = (res) => {
+  res.cookie("token", "", { ...baseCookieOptions(), expires: new Date(0) })
+  res.cookie("refreshToken", "", { ...baseCookieOptions(), path: REFRESH_COOKIE_PATH, expires: new Date(0) })
+}
 
-  res.cookie("token", token, cookieOptions)
+// Open a session for the user and hand out both tokens
+const startSession = async (req, res, user) => {
+  const { session, refreshToken } = await createSession(user._id, {
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  })
+
+  setTokenCookies(res, generateToken(user._id, session._id), refreshToken)
 }
 
 // @desc    Register new user
@@ -25,37 +69,43 @@ const setTokenCookie = (res, token) => {
 // @access  Public
 export const register = async (req, res, next) => {
   try {
-    const { name, email, password } = req.body
+    const { name, email, password, roles } = req.body
 
     // Check if user already exists
     const existingUser = await User.findOne({ email })
     if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: "User already exists with this email",
-      })
+      throw new ConflictError("User already exists with this email", { code: "EMAIL_TAKEN" })
     }
 
     // Create user
+    // Users pick what they sign up as; admin can only be granted by another admin
+    const signupRoles = Array.isArray(roles) ? roles.filter((role) => SIGNUP_ROLES.includes(role)) : []
+
     const user = await User.create({
       name,
       email,
       password,
+      ...(signupRoles.length && { roles: [...new Set(signupRoles)] }),
     })
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Start a session and set the token cookies
+    await startSession(req, res, user)
 
-    // Set cookie
-    setTokenCookie(res, token)
+    // Sent in the background: the account exists either way, and if the email
+    // doesn't go out the user can ask for another one
+    issueUserToken(user._id, "verify_email")
+      .then((token) => sendVerificationEmail(user, token))
+      .catch((err) => logger.error("verification email failed", { err, userId: user._id.toString() }))
 
     res.status(201).json({
       success: true,
-      message: "User registered successfully",
+      message: "User registered successfully, please check your email to verify your account",
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
+        roles: user.roles,
       },
     })
   } catch (error) {
@@ -72,37 +122,29 @@ export const login = async (req, res, next) => {
 
     // Validate input
     if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide email and password",
-      })
+      throw new BadRequestError("Please provide email and password")
     }
 
     // Find user and include password
     const user = await User.findOne({ email }).select("+password")
 
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
-      })
+      await recordLoginFailure(req)
+      throw new UnauthorizedError("Invalid credentials", { code: "INVALID_CREDENTIALS" })
     }
 
     // Check password
     const isPasswordValid = await user.comparePassword(password)
 
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
-      })
+      await recordLoginFailure(req)
+      throw new UnauthorizedError("Invalid credentials", { code: "INVALID_CREDENTIALS" })
     }
 
-    // Generate token
-    const token = generateToken(user._id)
+    await clearLoginFailures(req)
 
-    // Set cookie
-    setTokenCookie(res, token)
+    // Start a session and set the token cookies
+    await startSession(req, res, user)
 
     res.status(200).json({
       success: true,
@@ -111,6 +153,8 @@ export const login = async (req, res, next) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
+        roles: user.roles,
       },
     })
   } catch (error) {
@@ -118,35 +162,271 @@ export const login = async (req, res, next) => {
   }
 }
 
-// @desc    Logout user
+// @desc    Exchange the refresh token cookie for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie)
+export const refresh = async (req, res, next) => {
+  try {
+    const rotated = await rotateRefreshToken(req.cookies?.refreshToken, { ip: req.ip })
+
+    if (!rotated) {
+      clearTokenCookies(res)
+      throw new UnauthorizedError("Session expired, please log in again", { code: "SESSION_EXPIRED" })
+    }
+
+    const { session, refreshToken } = rotated
+    setTokenCookies(res, generateToken(session.userId, session._id), refreshToken)
+
+    res.status(200).json({
+      success: true,
+      message: "Token refreshed",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
-export const logout = async (req, res) => {
-  res.cookie("token", "", {
-    httpOnly: true,
-    expires: new Date(0),
-  })
+export const logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId, "logout", { io: req.app.get("io") })
+    clearTokenCookies(res)
 
-  res.status(200).json({
-    success: true,
-    message: "Logged out successfully",
-  })
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
 }
 
-// @desc    Get current user
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id)
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId.toString(),
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Revoke one session
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+export const revokeSessionById = async (req, res, next) => {
+  try {
+    const session = await revokeSession(req.user._id, req.params.sessionId, "user_revoked", { io: req.app.get("io") })
+
+    if (!session) {
+      throw new NotFoundError("Session not found")
+    }
+
+    if (session._id.toString() === req.sessionId.toString()) {
+      clearTokenCookies(res)
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Revoke every session, or every other session with ?keepCurrent=true
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeAllSessionsForUser = async (req, res, next) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true"
+
+    const { modifiedCount } = await revokeAllSessions(req.user._id, "user_revoked", {
+      exceptSessionId: keepCurrent ? req.sessionId : undefined,
+      io: req.app.get("io"),
+    })
+
+    if (!keepCurrent) {
+      clearTokenCookies(res)
+    }
+
+    res.status(200).json({
+      success: true,
+      message: keepCurrent ? "All other sessions revoked" : "All sessions revoked",
+      revokedCount: modifiedCount,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get current user, with their full profile
 // @route   GET /api/auth/me
 // @access  Private
 export const getMe = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user._id)
+    const user = await User.findById(req.user._id).populate("skills", "name slug categoryId")
 
     res.status(200).json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-      },
+      user: { ...serializeProfile(user), email: user.email, emailVerified: user.emailVerified },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Confirm an email address
+// @route   POST /api/auth/verify-email
+// @access  Public (verification token)
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const userId = await consumeUserToken(req.body.token, "verify_email")
+
+    if (!userId) {
+      throw new BadRequestError("Verification link is invalid or has expired", { code: "LINK_INVALID" })
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { emailVerified: true, emailVerifiedAt: new Date() } })
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      throw new ConflictError("Email is already verified", { code: "EMAIL_ALREADY_VERIFIED" })
+    }
+
+    await sendVerificationEmail(req.user, await issueUserToken(req.user._id, "verify_email"))
+
+    res.status(200).json({
+      success: true,
+      message: "Verification email sent",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body
+    const user = typeof email === "string" ? await User.findOne({ email: email.toLowerCase().trim() }) : null
+
+    // Sent in the background, so neither the response time nor a mail error
+    // tells the caller whether the account exists
+    if (user) {
+      issueUserToken(user._id, "reset_password")
+        .then((token) => sendPasswordResetEmail(user, token))
+        .catch((err) => logger.error("password reset email failed", { err, userId: user._id.toString() }))
+    }
+
+    // Same answer either way so the endpoint can't be used to discover accounts
+    res.status(200).json({
+      success: true,
+      message: "If an account exists for that email, a reset link has been sent",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (reset token)
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body
+    const userId = await consumeUserToken(token, "reset_password")
+
+    if (!userId) {
+      throw new BadRequestError("Reset link is invalid or has expired", { code: "LINK_INVALID" })
+    }
+
+    const user = await User.findById(userId)
+
+    if (!user) {
+      throw new BadRequestError("Reset link is invalid or has expired", { code: "LINK_INVALID" })
+    }
+
+    user.password = password
+    // Receiving the link proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true
+      user.emailVerifiedAt = new Date()
+    }
+    await user.save()
+
+    // Whoever knew the old password is logged out everywhere
+    await revokeAllSessions(user._id, "user_revoked", { io: req.app.get("io") })
+    clearTokenCookies(res)
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully, please log in again",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+export const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body
+
+    if (!currentPassword || !newPassword) {
+      throw new BadRequestError("Please provide your current and new password")
+    }
+
+    const user = await User.findById(req.user._id).select("+password")
+
+    if (!(await user.comparePassword(currentPassword))) {
+      throw new UnauthorizedError("Current password is incorrect", { code: "INVALID_CREDENTIALS" })
+    }
+
+    user.password = newPassword
+    await user.save()
+
+    // Keep this device signed in, end every other session
+    await revokeAllSessions(user._id, "user_revoked", { exceptSessionId: req.sessionId, io: req.app.get("io") })
+
+    res.status(200).json({
+      success: true,
+      message: "Password changed successfully",
     })
   } catch (error) {
     next(error)
@@ -1,38 +1,127 @@
 import mongoose from "mongoose"
 import Bid from "../models/Bid.model.js"
 import Gig from "../models/Gig.model.js"
+import { canApply, historyEntry } from "../utils/gigLifecycle.js"
+import { OPEN_BID_STATUSES, bidHistoryEntry, effectiveBidStatus, isOpenBid } from "../utils/bidLifecycle.js"
+import { isBiddingClosed } from "../services/deadline.service.js"
+import { acceptInvitations, isInvited } from "../services/invitation.service.js"
+import { createContractForHire, validateMilestonePlan } from "../services/contract.service.js"
+import { PUBLIC_USER_FIELDS } from "../services/reputation.service.js"
+import { notify, notifyMany } from "../services/notification.service.js"
+import { removeAttachments } from "../services/attachment.service.js"
+import { paginate } from "../utils/pagination.js"
+import { isSameUser } from "../middleware/authorize.middleware.js"
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../utils/errors.js"
+import { hireTransactionAbortsTotal, hiresTotal } from "../utils/metrics.js"
+
+// Sort options for bid listings: ?sort=<key>
+export const BID_SORTS = {
+  newest: { sortField: "createdAt", direction: -1 },
+  oldest: { sortField: "createdAt", direction: 1 },
+  price_low: { sortField: "price", direction: 1 },
+  price_high: { sortField: "price", direction: -1 },
+  reputation: { sortField: "freelancerRating", direction: -1 },
+}
+
+const resolveBidSort = (sort) => {
+  if (!sort) return BID_SORTS.newest
+  if (!BID_SORTS[sort]) throw new BadRequestError(`sort must be one of ${Object.keys(BID_SORTS).join(", ")}`)
+  return BID_SORTS[sort]
+}
+
+const findPopulatedBid = (bidId) =>
+  Bid.findById(bidId).populate("freelancerId", PUBLIC_USER_FIELDS).populate("gigId", "title description budget")
+
+const bidNotOpen = (bid, action = "change") => {
+  const status = effectiveBidStatus(bid)
+  return new ConflictError(`Cannot ${action} a bid that is ${status}`, { code: "BID_NOT_PENDING", details: { status } })
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// `validForDays` from the request as a validUntil date (null clears it)
+const validUntilFrom = (validForDays) => (validForDays === null ? null : new Date(Date.now() + validForDays * DAY_MS))
+
+// Apply `$set` to an open bid and record `entry` in its history. The bid
+// must not have changed since it was loaded; if it has, nothing is written.
+const updateOpenBid = async (bid, $set, entry) => {
+  const updated = await Bid.findOneAndUpdate(
+    { _id: bid._id, status: { $in: OPEN_BID_STATUSES }, updatedAt: bid.updatedAt },
+    { $set, $push: { history: entry } },
+    { new: true, runValidators: true },
+  )
+
+  if (!updated) {
+    throw new ConflictError("This bid was changed by another request, please retry", { code: "CONCURRENT_UPDATE" })
+  }
+
+  return updated
+}
+
+// Load an open bid on an open gig for the gig owner to act on
+const loadBidForOwner = async (req) => {
+  const bid = await Bid.findById(req.params.bidId)
+
+  if (!bid) {
+    throw new NotFoundError("Bid not found")
+  }
+
+  const gig = await Gig.findById(bid.gigId)
+
+  if (!gig) {
+    throw new NotFoundError("Gig not found")
+  }
+
+  if (!isSameUser(gig.ownerId, req.user)) {
+    throw new ForbiddenError("Not authorized to manage bids for this gig")
+  }
+
+  if (gig.status !== "open") {
+    throw new ConflictError("This gig is no longer open for hiring", {
+      code: "GIG_NOT_OPEN",
+      details: { status: gig.status },
+    })
+  }
+
+  if (!isOpenBid(bid)) {
+    throw bidNotOpen(bid)
+  }
+
+  return { bid, gig }
+}
 
 // @desc    Submit a bid for a gig
 // @route   POST /api/bids
 // @access  Private
 export const createBid = async (req, res, next) => {
   try {
-    const { gigId, message, price } = req.body
+    const { gigId, message, price, validForDays } = req.body
 
     // Check if gig exists
     const gig = await Gig.findById(gigId)
 
-    if (!gig) {
-      return res.status(404).json({
-        success: false,
-        message: "Gig not found",
-      })
+    if (!gig || gig.hiddenAt) {
+      throw new NotFoundError("Gig not found")
     }
 
     // Check if gig is still open
     if (gig.status !== "open") {
-      return res.status(400).json({
-        success: false,
-        message: "This gig is no longer accepting bids",
-      })
+      throw new ConflictError("This gig is no longer accepting bids", { code: "GIG_NOT_OPEN" })
+    }
+
+    // Check if the bidding deadline has passed
+    if (isBiddingClosed(gig)) {
+      throw new ConflictError("Bidding on this gig has closed", { code: "BIDDING_CLOSED" })
     }
 
     // Check if user is trying to bid on their own gig
-    if (gig.ownerId.toString() === req.user._id.toString()) {
-      return res.status(400).json({
-        success: false,
-        message: "You cannot bid on your own gig",
-      })
+    if (isSameUser(gig.ownerId, req.user)) {
+      throw new ForbiddenError("You cannot bid on your own gig", { code: "OWN_GIG" })
+    }
+
+    // Invite-only gigs take bids from invited freelancers only
+    if (gig.visibility === "invite_only" && !(await isInvited(gig._id, req.user))) {
+      throw new ForbiddenError("This gig is open to invited freelancers only", { code: "NOT_INVITED" })
     }
 
     // Check if user has already bid on this gig
@@ -42,10 +131,7 @@ export const createBid = async (req, res, next) => {
     })
 
     if (existingBid) {
-      return res.status(400).json({
-        success: false,
-        message: "You have already submitted a bid for this gig",
-      })
+      throw new ConflictError("You have already submitted a bid for this gig", { code: "DUPLICATE_BID" })
     }
 
     // Create bid
@@ -54,12 +140,25 @@ export const createBid = async (req, res, next) => {
       freelancerId: req.user._id,
       message,
       price,
+      validUntil: validForDays === undefined ? null : validUntilFrom(validForDays),
+      freelancerRating: req.user.reputation?.average || 0,
+      history: [bidHistoryEntry("submitted", req.user._id, { price, message })],
     })
 
+    await Gig.updateOne({ _id: gig._id }, { $inc: { bidCount: 1 } })
+    await acceptInvitations(gig._id, req.user)
+
     const populatedBid = await Bid.findById(bid._id)
-      .populate("freelancerId", "name email")
+      .populate("freelancerId", PUBLIC_USER_FIELDS)
       .populate("gigId", "title description budget")
 
+    await notify(req.app.get("io"), gig.ownerId, {
+      type: "bid_received",
+      title: "New bid on your gig",
+      message: `${req.user.name} bid $${bid.price} on "${gig.title}"`,
+      data: { gigId: gig._id, bidId: bid._id },
+    })
+
     res.status(201).json({
       success: true,
       message: "Bid submitted successfully",
@@ -71,36 +170,34 @@ export const createBid = async (req, res, next) => {
 }
 
 // @desc    Get all bids for a specific gig
-// @route   GET /api/bids/:gigId
+// @route   GET /api/bids/:gigId?status=&sort=&cursor=&limit=
 // @access  Private (Gig owner only)
 export const getBidsForGig = async (req, res, next) => {
   try {
-    const { gigId } = req.params
+    // Loaded and ownership-checked by requireOwnership
+    const { gig } = req
 
-    // Check if gig exists
-    const gig = await Gig.findById(gigId)
+    const { status, sort, cursor, limit } = req.query
 
-    if (!gig) {
-      return res.status(404).json({
-        success: false,
-        message: "Gig not found",
-      })
+    const filter = { gigId: gig._id }
+    if (status) {
+      filter.status = status
     }
 
-    // Check if user is the gig owner
-    if (gig.ownerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view bids for this gig",
-      })
-    }
-
-    // Get all bids for this gig
-    const bids = await Bid.find({ gigId }).populate("freelancerId", "name email").sort({ createdAt: -1 })
+    // Get a page of bids for this gig
+    const { items: bids, total, nextCursor } = await paginate(Bid, {
+      filter,
+      ...resolveBidSort(sort),
+      cursor,
+      limit,
+      populate: [["freelancerId", PUBLIC_USER_FIELDS]],
+    })
 
     res.status(200).json({
       success: true,
       count: bids.length,
+      total,
+      nextCursor,
       bids,
     })
   } catch (error) {
@@ -109,17 +206,34 @@ export const getBidsForGig = async (req, res, next) => {
 }
 
 // @desc    Get user's own bids
-// @route   GET /api/bids/my/bids
+// @route   GET /api/bids/my/bids?status=&sort=&cursor=&limit=
 // @access  Private
 export const getMyBids = async (req, res, next) => {
   try {
-    const bids = await Bid.find({ freelancerId: req.user._id })
-      .populate("gigId", "title description budget status")
-      .sort({ createdAt: -1 })
+    const { status, sort, cursor, limit } = req.query
+
+    const filter = { freelancerId: req.user._id }
+    if (status) {
+      const statuses = Bid.schema.path("status").enumValues
+      if (!statuses.includes(status)) {
+        throw new BadRequestError(`status must be one of ${statuses.join(", ")}`)
+      }
+      filter.status = status
+    }
+
+    const { items: bids, total, nextCursor } = await paginate(Bid, {
+      filter,
+      ...resolveBidSort(sort),
+      cursor,
+      limit,
+      populate: [["gigId", "title description budget status"]],
+    })
 
     res.status(200).json({
       success: true,
       count: bids.length,
+      total,
+      nextCursor,
       bids,
     })
   } catch (error) {
@@ -142,56 +256,71 @@ export const hireBid = async (req, res, next) => {
     const bid = await Bid.findById(bidId).populate("gigId").session(session)
 
     if (!bid) {
-      await session.abortTransaction()
-      return res.status(404).json({
-        success: false,
-        message: "Bid not found",
-      })
+      throw new NotFoundError("Bid not found")
     }
 
     const gig = await Gig.findById(bid.gigId).session(session)
 
     if (!gig) {
-      await session.abortTransaction()
-      return res.status(404).json({
-        success: false,
-        message: "Gig not found",
-      })
+      throw new NotFoundError("Gig not found")
     }
 
     // Check if user is the gig owner
-    if (gig.ownerId.toString() !== req.user._id.toString()) {
-      await session.abortTransaction()
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to hire for this gig",
-      })
+    if (!isSameUser(gig.ownerId, req.user)) {
+      throw new ForbiddenError("Not authorized to hire for this gig")
+    }
+
+    // Declined bids (and bids already closed out) can't be hired
+    if (!isOpenBid(bid)) {
+      throw bidNotOpen(bid, "hire")
     }
 
     // Check if gig is still open (RACE CONDITION PREVENTION)
-    if (gig.status === "assigned") {
-      await session.abortTransaction()
-      return res.status(400).json({
-        success: false,
-        message: "This gig has already been assigned to someone else",
-      })
+    if (!canApply("hire", gig.status)) {
+      throw new ConflictError(
+        gig.status === "assigned"
+          ? "This gig has already been assigned to someone else"
+          : "This gig is no longer open for hiring",
+        { code: "GIG_NOT_OPEN", details: { status: gig.status } },
+      )
+    }
+
+    // Optional milestone plan; defaults to a single milestone for the full
+    // price. `bid.price` is the agreed price: any counter-offer still waiting
+    // for an answer was never accepted and is dropped.
+    const { milestones } = req.body || {}
+    const planError = milestones ? validateMilestonePlan(milestones, bid.price) : null
+
+    if (planError) {
+      throw new BadRequestError(planError, { code: "INVALID_MILESTONE_PLAN" })
     }
 
     // ATOMIC UPDATE: Update the gig status to 'assigned'
     gig.status = "assigned"
     gig.hiredBidId = bid._id
+    gig.statusHistory.push(historyEntry("assigned", req.user._id))
     await gig.save({ session })
 
     // Update the hired bid status to 'hired'
-    bid.status = "hired"
-    await bid.save({ session })
+    await Bid.updateOne(
+      { _id: bid._id },
+      {
+        $set: { status: "hired", counterOffer: null },
+        $push: { history: bidHistoryEntry("hired", req.user._id, { price: bid.price }) },
+      },
+      { session },
+    )
+
+    // Reject all other open bids for this gig
+    const rejectedBids = await Bid.find({ gigId: gig._id, _id: { $ne: bid._id }, status: { $in: OPEN_BID_STATUSES } })
+      .select("freelancerId")
+      .session(session)
 
-    // Reject all other pending bids for this gig
     await Bid.updateMany(
       {
         gigId: gig._id,
         _id: { $ne: bid._id },
-        status: "pending",
+        status: { $in: OPEN_BID_STATUSES },
       },
       {
         $set: { status: "rejected" },
@@ -199,16 +328,40 @@ export const hireBid = async (req, res, next) => {
       { session },
     )
 
+    // Open the contract that tracks the agreed price
+    const contract = await createContractForHire({ gig, bid, milestones }, session)
+
     // Commit the transaction
     await session.commitTransaction()
+    hiresTotal.inc()
 
     // Populate the bid for response
     const hiredBid = await Bid.findById(bid._id)
-      .populate("freelancerId", "name email")
+      .populate("freelancerId", PUBLIC_USER_FIELDS)
       .populate("gigId", "title description budget")
 
-    // BONUS: Real-time notification via Socket.io
+    // Notify the hired freelancer and everyone who missed out
     const io = req.app.get("io")
+
+    await notify(io, bid.freelancerId, {
+      type: "bid_hired",
+      title: "You've been hired!",
+      message: `You have been hired for "${gig.title}"!`,
+      data: { gigId: gig._id, bidId: bid._id, contractId: contract._id },
+    })
+
+    await notifyMany(
+      io,
+      rejectedBids.map((rejected) => rejected.freelancerId),
+      {
+        type: "bid_rejected",
+        title: "Bid not selected",
+        message: `Another freelancer was hired for "${gig.title}"`,
+        data: { gigId: gig._id },
+      },
+    )
+
+    // Legacy event kept for clients that listen for "hired" directly
     if (io) {
       io.to(`user:${bid.freelancerId._id}`).emit("hired", {
         message: `You have been hired for "${gig.title}"!`,
@@ -227,101 +380,314 @@ export const hireBid = async (req, res, next) => {
       success: true,
       message: "Freelancer hired successfully",
       bid: hiredBid,
+      contract,
     })
   } catch (error) {
     // Rollback transaction on error
-    await session.abortTransaction()
+    if (session.inTransaction()) {
+      await session.abortTransaction()
+      hireTransactionAbortsTotal.inc({ code: String(error.code ?? "INTERNAL_ERROR") })
+    }
     next(error)
   } finally {
     session.endSession()
   }
 }
 
-// @desc    Update bid (freelancer can update their own bid if still pending)
+// @desc    Update bid (freelancer can update their own bid while it is open).
+//          A new price also answers any open counter-offer.
 // @route   PUT /api/bids/:bidId
 // @access  Private (Bid owner only)
 export const updateBid = async (req, res, next) => {
   try {
-    const { bidId } = req.params
-    const { message, price } = req.body
+    const { message, price, validForDays } = req.body
 
-    const bid = await Bid.findById(bidId)
+    // Loaded and ownership-checked by requireOwnership
+    const { bid } = req
 
-    if (!bid) {
-      return res.status(404).json({
-        success: false,
-        message: "Bid not found",
-      })
+    // Can only update open bids
+    if (!isOpenBid(bid)) {
+      throw bidNotOpen(bid)
     }
 
-    // Check ownership
-    if (bid.freelancerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to update this bid",
-      })
+    const changes = {}
+    if (message !== undefined) changes.message = message
+    if (price !== undefined) {
+      changes.price = price
+      changes.counterOffer = null
     }
+    if (validForDays !== undefined) changes.validUntil = validUntilFrom(validForDays)
+
+    const updated = await updateOpenBid(
+      bid,
+      changes,
+      bidHistoryEntry("revised", req.user._id, {
+        price: changes.price ?? bid.price,
+        message: changes.message ?? bid.message,
+      }),
+    )
+
+    const gig = await Gig.findById(bid.gigId).select("ownerId title")
+
+    await notify(req.app.get("io"), gig.ownerId, {
+      type: "bid_updated",
+      title: "A bid was revised",
+      message: `${req.user.name} revised their bid on "${gig.title}" ($${updated.price})`,
+      data: { gigId: gig._id, bidId: bid._id },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Bid updated successfully",
+      bid: await findPopulatedBid(bid._id),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Shortlist a bid
+// @route   PATCH /api/bids/:bidId/shortlist
+// @access  Private (Gig owner only)
+export const shortlistBid = async (req, res, next) => {
+  try {
+    const { bid, gig } = await loadBidForOwner(req)
 
-    // Can only update pending bids
-    if (bid.status !== "pending") {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot update a bid that is not pending",
+    if (bid.status === "shortlisted") {
+      throw new ConflictError("This bid is already shortlisted", {
+        code: "INVALID_TRANSITION",
+        details: { status: bid.status },
       })
     }
 
-    bid.message = message || bid.message
-    bid.price = price || bid.price
+    await updateOpenBid(bid, { status: "shortlisted" }, bidHistoryEntry("shortlisted", req.user._id))
 
-    await bid.save()
+    await notify(req.app.get("io"), bid.freelancerId, {
+      type: "bid_shortlisted",
+      title: "Your bid was shortlisted",
+      message: `Your bid on "${gig.title}" made the shortlist`,
+      data: { gigId: gig._id, bidId: bid._id },
+    })
 
-    const updatedBid = await Bid.findById(bid._id)
-      .populate("freelancerId", "name email")
-      .populate("gigId", "title description budget")
+    res.status(200).json({
+      success: true,
+      message: "Bid shortlisted",
+      bid: await findPopulatedBid(bid._id),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Decline a single bid
+// @route   PATCH /api/bids/:bidId/decline
+// @access  Private (Gig owner only)
+export const declineBid = async (req, res, next) => {
+  try {
+    const { bid, gig } = await loadBidForOwner(req)
+    const { note } = req.body
+
+    await updateOpenBid(
+      bid,
+      { status: "declined", counterOffer: null },
+      bidHistoryEntry("declined", req.user._id, { note }),
+    )
+
+    await notify(req.app.get("io"), bid.freelancerId, {
+      type: "bid_declined",
+      title: "Bid declined",
+      message: `Your bid on "${gig.title}" was declined${note ? `: ${note}` : ""}`,
+      data: { gigId: gig._id, bidId: bid._id },
+    })
 
     res.status(200).json({
       success: true,
-      message: "Bid updated successfully",
-      bid: updatedBid,
+      message: "Bid declined",
+      bid: await findPopulatedBid(bid._id),
     })
   } catch (error) {
     next(error)
   }
 }
 
-// @desc    Delete bid
-// @route   DELETE /api/bids/:bidId
-// @access  Private (Bid owner only)
-export const deleteBid = async (req, res, next) => {
+// @desc    Counter-offer a bid's price. The gig owner proposes a price for the
+//          freelancer to accept; the freelancer answers an open counter-offer
+//          with a new price of their own.
+// @route   PATCH /api/bids/:bidId/counter
+// @access  Private (Gig owner or bid owner)
+export const counterBid = async (req, res, next) => {
   try {
-    const { bidId } = req.params
+    const { price, note } = req.body
+    const io = req.app.get("io")
 
-    const bid = await Bid.findById(bidId)
+    const bid = await Bid.findById(req.params.bidId)
 
     if (!bid) {
-      return res.status(404).json({
-        success: false,
-        message: "Bid not found",
-      })
+      throw new NotFoundError("Bid not found")
     }
 
-    // Check ownership
-    if (bid.freelancerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to delete this bid",
+    if (isSameUser(bid.freelancerId, req.user)) {
+      if (!isOpenBid(bid)) {
+        throw bidNotOpen(bid)
+      }
+
+      if (!bid.counterOffer) {
+        throw new ConflictError("There is no counter-offer to answer; revise your bid instead", {
+          code: "NO_COUNTER_OFFER",
+        })
+      }
+
+      const gig = await Gig.findById(bid.gigId).select("ownerId title status")
+
+      if (gig.status !== "open") {
+        throw new ConflictError("This gig is no longer open for hiring", {
+          code: "GIG_NOT_OPEN",
+          details: { status: gig.status },
+        })
+      }
+
+      await updateOpenBid(
+        bid,
+        { price, counterOffer: null },
+        bidHistoryEntry("countered", req.user._id, { price, note }),
+      )
+
+      await notify(io, gig.ownerId, {
+        type: "bid_countered",
+        title: "Counter-offer received",
+        message: `${req.user.name} countered with $${price} on "${gig.title}"`,
+        data: { gigId: gig._id, bidId: bid._id },
+      })
+    } else {
+      const { gig } = await loadBidForOwner(req)
+
+      if (price === bid.price) {
+        throw new BadRequestError("A counter-offer must differ from the current price; hire the bid to accept it", {
+          code: "COUNTER_SAME_PRICE",
+        })
+      }
+
+      await updateOpenBid(
+        bid,
+        { counterOffer: { price, note, createdAt: new Date() } },
+        bidHistoryEntry("countered", req.user._id, { price, note }),
+      )
+
+      await notify(io, bid.freelancerId, {
+        type: "bid_countered",
+        title: "Counter-offer received",
+        message: `The owner of "${gig.title}" proposed $${price} instead of $${bid.price}`,
+        data: { gigId: gig._id, bidId: bid._id },
       })
     }
 
-    // Can only delete pending bids
-    if (bid.status !== "pending") {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot delete a bid that is not pending",
+    res.status(200).json({
+      success: true,
+      message: "Counter-offer sent",
+      bid: await findPopulatedBid(bid._id),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Accept the gig owner's counter-offer; it becomes the bid's price
+// @route   PATCH /api/bids/:bidId/accept-counter
+// @access  Private (Bid owner only)
+export const acceptCounterOffer = async (req, res, next) => {
+  try {
+    // Loaded and ownership-checked by requireOwnership
+    const { bid } = req
+
+    if (!isOpenBid(bid)) {
+      throw bidNotOpen(bid)
+    }
+
+    if (!bid.counterOffer) {
+      throw new ConflictError("There is no counter-offer to accept", { code: "NO_COUNTER_OFFER" })
+    }
+
+    const gig = await Gig.findById(bid.gigId).select("ownerId title status")
+
+    if (gig.status !== "open") {
+      throw new ConflictError("This gig is no longer open for hiring", {
+        code: "GIG_NOT_OPEN",
+        details: { status: gig.status },
       })
     }
 
+    const { price } = bid.counterOffer
+
+    await updateOpenBid(
+      bid,
+      { price, counterOffer: null },
+      bidHistoryEntry("counter_accepted", req.user._id, { price }),
+    )
+
+    await notify(req.app.get("io"), gig.ownerId, {
+      type: "bid_counter_accepted",
+      title: "Counter-offer accepted",
+      message: `${req.user.name} accepted $${price} for "${gig.title}"`,
+      data: { gigId: gig._id, bidId: bid._id },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Counter-offer accepted",
+      bid: await findPopulatedBid(bid._id),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get a bid's negotiation history, oldest first
+// @route   GET /api/bids/:bidId/history
+// @access  Private (Bid owner and gig owner)
+export const getBidHistory = async (req, res, next) => {
+  try {
+    const bid = await Bid.findById(req.params.bidId)
+      .select("+history")
+      .populate("gigId", "ownerId")
+      .populate("history.by", "name")
+
+    if (!bid) {
+      throw new NotFoundError("Bid not found")
+    }
+
+    if (!isSameUser(bid.freelancerId, req.user) && !isSameUser(bid.gigId?.ownerId, req.user)) {
+      throw new ForbiddenError("Not authorized to view this bid's history")
+    }
+
+    res.status(200).json({
+      success: true,
+      status: bid.status,
+      price: bid.price,
+      counterOffer: bid.counterOffer,
+      count: bid.history.length,
+      history: bid.history,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Delete bid
+// @route   DELETE /api/bids/:bidId
+// @access  Private (Bid owner only)
+export const deleteBid = async (req, res, next) => {
+  try {
+    // Loaded and ownership-checked by requireOwnership
+    const { bid } = req
+
+    // Can only delete open bids
+    if (!isOpenBid(bid)) {
+      throw bidNotOpen(bid)
+    }
+
     await bid.deleteOne()
+    await removeAttachments({ bidId: bid._id })
+    await Gig.updateOne({ _id: bid.gigId }, { $inc: { bidCount: -1 } })
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,214 @@
+import mongoose from "mongoose"
+import Contract from "../models/Contract.model.js"
+import { validateMilestonePlan } from "../services/contract.service.js"
+import { getBalances, recordFunding, recordRelease } from "../services/ledger.service.js"
+import { isSameUser } from "../middleware/authorize.middleware.js"
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../utils/errors.js"
+
+const MILESTONE_ACTIONS = {
+  fund: { from: ["pending"], to: "funded", actor: "owner" },
+  submit: { from: ["funded", "changes_requested"], to: "submitted", actor: "freelancer" },
+  request_changes: { from: ["submitted"], to: "changes_requested", actor: "owner" },
+  release: { from: ["submitted"], to: "released", actor: "owner" },
+}
+
+const getContractRole = (contract, userId) => {
+  if (isSameUser(contract.ownerId, userId)) return "owner"
+  if (isSameUser(contract.freelancerId, userId)) return "freelancer"
+  return null
+}
+
+const populateContract = (query) =>
+  query
+    .populate("gigId", "title status")
+    .populate("ownerId", "name email")
+    .populate("freelancerId", "name email")
+
+// @desc    Get contracts where the user is owner or freelancer
+// @route   GET /api/contracts/my/contracts
+// @access  Private
+export const getMyContracts = async (req, res, next) => {
+  try {
+    const contracts = await populateContract(
+      Contract.find({ $or: [{ ownerId: req.user._id }, { freelancerId: req.user._id }] }),
+    ).sort({ createdAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      count: contracts.length,
+      contracts,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get a single contract
+// @route   GET /api/contracts/:id
+// @access  Private (Contract parties only)
+export const getContractById = async (req, res, next) => {
+  try {
+    const contract = await Contract.findById(req.params.id)
+
+    if (!contract) {
+      throw new NotFoundError("Contract not found")
+    }
+
+    if (!getContractRole(contract, req.user._id)) {
+      throw new ForbiddenError("Not authorized to view this contract")
+    }
+
+    res.status(200).json({
+      success: true,
+      contract: await populateContract(Contract.findById(contract._id)),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Replace the milestone plan before anything has been funded
+// @route   PUT /api/contracts/:id/milestones
+// @access  Private (Owner only)
+export const setMilestones = async (req, res, next) => {
+  try {
+    const contract = await Contract.findById(req.params.id)
+
+    if (!contract) {
+      throw new NotFoundError("Contract not found")
+    }
+
+    if (getContractRole(contract, req.user._id) !== "owner") {
+      throw new ForbiddenError("Not authorized to change milestones on this contract")
+    }
+
+    if (contract.status !== "active" || contract.milestones.some((m) => m.status !== "pending")) {
+      throw new ConflictError("Milestones can only be changed before any of them has been funded", {
+        code: "MILESTONES_LOCKED",
+      })
+    }
+
+    const { milestones } = req.body
+    const planError = validateMilestonePlan(milestones, contract.amount)
+
+    if (planError) {
+      throw new BadRequestError(planError, { code: "INVALID_MILESTONE_PLAN" })
+    }
+
+    contract.milestones = milestones.map(({ title, amount, dueDate }) => ({ title, amount, dueDate }))
+    await contract.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Milestones updated successfully",
+      contract: await populateContract(Contract.findById(contract._id)),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Build a handler that moves one milestone through its lifecycle via `action`.
+// Runs in a transaction so the milestone state and ledger always agree.
+const transitionMilestone = (action) => async (req, res, next) => {
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    const { id, milestoneId } = req.params
+    const { from, to, actor } = MILESTONE_ACTIONS[action]
+
+    const contract = await Contract.findById(id).session(session)
+
+    if (!contract) {
+      throw new NotFoundError("Contract not found")
+    }
+
+    if (getContractRole(contract, req.user._id) !== actor) {
+      throw new ForbiddenError("Not authorized to perform this action on this milestone")
+    }
+
+    const milestone = contract.milestones.id(milestoneId)
+
+    if (!milestone) {
+      throw new NotFoundError("Milestone not found")
+    }
+
+    if (contract.status !== "active" || !from.includes(milestone.status)) {
+      throw new ConflictError(
+        `Cannot ${action.replace("_", " ")} a milestone that is ${milestone.status.replace("_", " ")}`,
+        { code: "INVALID_TRANSITION", details: { status: milestone.status } },
+      )
+    }
+
+    const { note } = req.body || {}
+    milestone.status = to
+
+    if (action === "fund") {
+      await recordFunding(contract, milestone, session)
+      milestone.fundedAt = new Date()
+    } else if (action === "submit") {
+      milestone.submissionNote = note
+      milestone.submittedAt = new Date()
+    } else if (action === "request_changes") {
+      milestone.feedback = note
+    } else if (action === "release") {
+      await recordRelease(contract, milestone, session)
+      milestone.releasedAt = new Date()
+    }
+
+    if (contract.milestones.every((m) => m.status === "released")) {
+      contract.status = "completed"
+    }
+
+    await contract.save({ session })
+    await session.commitTransaction()
+
+    res.status(200).json({
+      success: true,
+      message: `Milestone ${to.replace("_", " ")}`,
+      contract: await populateContract(Contract.findById(contract._id)),
+    })
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction()
+    next(error)
+  } finally {
+    session.endSession()
+  }
+}
+
+// @desc    Fund a milestone into escrow
+// @route   PATCH /api/contracts/:id/milestones/:milestoneId/fund
+// @access  Private (Owner only)
+export const fundMilestone = transitionMilestone("fund")
+
+// @desc    Submit work for a funded milestone
+// @route   PATCH /api/contracts/:id/milestones/:milestoneId/submit
+// @access  Private (Freelancer only)
+export const submitMilestone = transitionMilestone("submit")
+
+// @desc    Ask for changes on a submitted milestone
+// @route   PATCH /api/contracts/:id/milestones/:milestoneId/request-changes
+// @access  Private (Owner only)
+export const requestMilestoneChanges = transitionMilestone("request_changes")
+
+// @desc    Release a submitted milestone's escrow to the freelancer
+// @route   PATCH /api/contracts/:id/milestones/:milestoneId/release
+// @access  Private (Owner only)
+export const releaseMilestone = transitionMilestone("release")
+
+// @desc    Get the current user's ledger balances
+// @route   GET /api/contracts/my/balance
+// @access  Private
+export const getMyBalance = async (req, res, next) => {
+  try {
+    const balance = await getBalances(req.user._id)
+
+    res.status(200).json({
+      success: true,
+      balance,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
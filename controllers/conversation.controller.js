@@ -0,0 +1,205 @@
+import mongoose from "mongoose"
+import Conversation from "../models/Conversation.model.js"
+import Message from "../models/Message.model.js"
+import Bid from "../models/Bid.model.js"
+import Gig from "../models/Gig.model.js"
+import { notify } from "../services/notification.service.js"
+import { isSameUser } from "../middleware/authorize.middleware.js"
+import { BadRequestError, ForbiddenError, NotFoundError } from "../utils/errors.js"
+
+const DEFAULT_PAGE_SIZE = 30
+const MAX_PAGE_SIZE = 100
+
+// Load a conversation and make sure the caller takes part in it
+const loadConversation = async (req) => {
+  const conversation = await Conversation.findById(req.params.id)
+
+  if (!conversation) {
+    throw new NotFoundError("Conversation not found")
+  }
+
+  if (!conversation.roleOf(req.user._id)) {
+    throw new ForbiddenError("Not authorized to access this conversation")
+  }
+
+  return conversation
+}
+
+// Push an event to both participants' personal rooms
+const emitToParticipants = (req, conversation, event, payload) => {
+  const io = req.app.get("io")
+  if (io) {
+    io.to(`user:${conversation.ownerId}`).to(`user:${conversation.freelancerId}`).emit(event, payload)
+  }
+}
+
+// @desc    Get the current user's conversations
+// @route   GET /api/conversations
+// @access  Private
+export const getMyConversations = async (req, res, next) => {
+  try {
+    const conversations = await Conversation.find({
+      $or: [{ ownerId: req.user._id }, { freelancerId: req.user._id }],
+    })
+      .populate("gigId", "title status")
+      .populate("ownerId", "name")
+      .populate("freelancerId", "name")
+      .sort({ lastMessageAt: -1, updatedAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      count: conversations.length,
+      conversations,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Open (or fetch the existing) conversation for a bid
+// @route   POST /api/conversations
+// @access  Private (Gig owner or bid freelancer)
+export const openConversation = async (req, res, next) => {
+  try {
+    const { bidId } = req.body
+
+    const bid = await Bid.findById(bidId)
+
+    if (!bid) {
+      throw new NotFoundError("Bid not found")
+    }
+
+    const gig = await Gig.findById(bid.gigId).select("ownerId")
+
+    if (!gig) {
+      throw new NotFoundError("Gig not found")
+    }
+
+    if (!isSameUser(gig.ownerId, req.user) && !isSameUser(bid.freelancerId, req.user)) {
+      throw new ForbiddenError("Not authorized to message about this bid")
+    }
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { bidId: bid._id },
+      { $setOnInsert: { gigId: gig._id, ownerId: gig.ownerId, freelancerId: bid.freelancerId } },
+      { new: true, upsert: true },
+    )
+
+    res.status(200).json({
+      success: true,
+      conversation,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get message history, newest first
+// @route   GET /api/conversations/:id/messages?cursor=<messageId>&limit=30
+// @access  Private (Participants only)
+export const getMessages = async (req, res, next) => {
+  try {
+    const conversation = await loadConversation(req)
+
+    const { cursor } = req.query
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
+    const query = { conversationId: conversation._id }
+
+    if (cursor) {
+      if (!mongoose.isValidObjectId(cursor)) {
+        throw new BadRequestError("Invalid cursor", { code: "INVALID_CURSOR" })
+      }
+      query._id = { $lt: cursor }
+    }
+
+    // Fetch one extra to know whether another page exists
+    const messages = await Message.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+
+    const hasMore = messages.length > limit
+    if (hasMore) messages.pop()
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      messages,
+      nextCursor: hasMore ? messages[messages.length - 1]._id : null,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Send a message
+// @route   POST /api/conversations/:id/messages
+// @access  Private (Participants only)
+export const sendMessage = async (req, res, next) => {
+  try {
+    const conversation = await loadConversation(req)
+
+    const message = await Message.create({
+      conversationId: conversation._id,
+      senderId: req.user._id,
+      body: req.body.body,
+    })
+
+    conversation.lastMessageAt = message.createdAt
+    conversation.lastMessagePreview = message.body.slice(0, 100)
+    conversation[`${conversation.roleOf(req.user._id)}LastReadAt`] = message.createdAt
+    await conversation.save()
+
+    emitToParticipants(req, conversation, "message:new", { conversationId: conversation._id, message })
+
+    await notify(req.app.get("io"), conversation.otherParticipant(req.user._id), {
+      type: "message_received",
+      title: `New message from ${req.user.name}`,
+      message: conversation.lastMessagePreview,
+      data: { conversationId: conversation._id, gigId: conversation.gigId, bidId: conversation.bidId },
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent",
+      data: message,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Mark every message from the other participant as read
+// @route   PATCH /api/conversations/:id/read
+// @access  Private (Participants only)
+export const markConversationRead = async (req, res, next) => {
+  try {
+    const conversation = await loadConversation(req)
+
+    const readAt = new Date()
+
+    const { modifiedCount } = await Message.updateMany(
+      { conversationId: conversation._id, senderId: { $ne: req.user._id }, readAt: null },
+      { $set: { readAt } },
+    )
+
+    conversation[`${conversation.roleOf(req.user._id)}LastReadAt`] = readAt
+    await conversation.save()
+
+    if (modifiedCount > 0) {
+      emitToParticipants(req, conversation, "message:read", {
+        conversationId: conversation._id,
+        readerId: req.user._id,
+        readAt,
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Conversation marked as read",
+      readCount: modifiedCount,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
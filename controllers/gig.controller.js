@@ -1,32 +1,106 @@
+import mongoose from "mongoose"
 import Gig from "../models/Gig.model.js"
 import Bid from "../models/Bid.model.js"
+import { GIG_ACTIONS, canApply, isAllowedActor, historyEntry } from "../utils/gigLifecycle.js"
+import { OPEN_BID_STATUSES } from "../utils/bidLifecycle.js"
+import { cancelContractForGig, completeContractForGig } from "../services/contract.service.js"
+import { PUBLIC_USER_FIELDS, refreshReputationForGig } from "../services/reputation.service.js"
+import { notify, notifyMany } from "../services/notification.service.js"
+import { buildGigFilter, resolveGigSort } from "../utils/gigQuery.js"
+import { paginate, parseLimit } from "../utils/pagination.js"
+import { resolveCategoryId, resolveSkillIds } from "../services/taxonomy.service.js"
+import { recommendGigsFor } from "../services/recommendation.service.js"
+import { notifySavedSearchMatches } from "../services/savedSearch.service.js"
+import { scheduleBiddingDeadline } from "../services/deadline.service.js"
+import { canViewGig } from "../services/invitation.service.js"
+import { deleteGigWithBids, getPendingBidders } from "../services/gig.service.js"
+import { hasRole, isSameUser } from "../middleware/authorize.middleware.js"
+import { buildHighlights, buildPartialMatchFilter, paginateByTextScore } from "../utils/gigSearch.js"
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../utils/errors.js"
 
-// @desc    Get all gigs with optional search
-// @route   GET /api/gigs?search=keyword
+// Work can't be due before bidding has even closed
+const checkDeadlines = ({ biddingDeadline, deliveryDueDate }) => {
+  if (biddingDeadline && deliveryDueDate && deliveryDueDate <= biddingDeadline) {
+    throw new BadRequestError("Delivery due date must be after the bidding deadline", { code: "INVALID_DEADLINE" })
+  }
+}
+
+// Run a gig search. Goes through the text index (ranked by relevance unless
+// another sort is requested) and falls back to escaped partial-word matching
+// when asked to with match=partial or when the text index finds nothing.
+const searchGigs = async (filter, { search, sort, cursor, limit, match }) => {
+  const populate = [["ownerId", PUBLIC_USER_FIELDS]]
+
+  if (match !== "partial") {
+    const result =
+      !sort || sort === "relevance"
+        ? await paginateByTextScore(Gig, { filter, search, cursor, limit, populate })
+        : await paginate(Gig, {
+            filter: { ...filter, $text: { $search: search } },
+            ...resolveGigSort(sort),
+            cursor,
+            limit,
+            populate,
+          })
+
+    // `total` ignores the cursor, so every page of an empty search falls back alike
+    if (result.total > 0) {
+      return { ...result, searchMode: "text" }
+    }
+  }
+
+  const result = await paginate(Gig, {
+    filter: { ...filter, ...buildPartialMatchFilter(search) },
+    ...resolveGigSort(sort),
+    cursor,
+    limit,
+    populate,
+  })
+
+  return { ...result, searchMode: "partial" }
+}
+
+// @desc    Get gigs with search, filters, sorting and cursor pagination
+// @route   GET /api/gigs?search=&match=partial&status=&category=&skills=&minBudget=&maxBudget=&owner=&postedAfter=&postedBefore=&sort=&cursor=&limit=
 // @access  Public
 export const getGigs = async (req, res, next) => {
   try {
-    const { search, status } = req.query
+    const { sort, cursor, limit, match } = req.query
+    const search = typeof req.query.search === "string" ? req.query.search.trim() : ""
 
-    const query = {}
+    const filter = buildGigFilter(req.query)
 
-    // Filter by status (default: only open gigs)
-    if (status) {
-      query.status = status
-    } else {
-      query.status = "open"
-    }
+    if (!search) {
+      const { items: gigs, total, nextCursor } = await paginate(Gig, {
+        filter,
+        ...resolveGigSort(sort),
+        cursor,
+        limit,
+        populate: [["ownerId", PUBLIC_USER_FIELDS]],
+      })
 
-    // Search functionality
-    if (search) {
-      query.$or = [{ title: { $regex: search, $options: "i" } }, { description: { $regex: search, $options: "i" } }]
+      return res.status(200).json({
+        success: true,
+        count: gigs.length,
+        total,
+        nextCursor,
+        gigs,
+      })
     }
 
-    const gigs = await Gig.find(query).populate("ownerId", "name email").sort({ createdAt: -1 })
+    const { items, total, nextCursor, searchMode } = await searchGigs(filter, { search, sort, cursor, limit, match })
+
+    const gigs = items.map((gig) => {
+      const plain = gig.toObject()
+      return { ...plain, highlights: buildHighlights(plain, search) }
+    })
 
     res.status(200).json({
       success: true,
       count: gigs.length,
+      total,
+      nextCursor,
+      searchMode,
       gigs,
     })
   } catch (error) {
@@ -34,18 +108,49 @@ export const getGigs = async (req, res, next) => {
   }
 }
 
+// @desc    Get open gigs ranked for the current freelancer
+// @route   GET /api/gigs/recommended?limit=20
+// @access  Private
+export const getRecommendedGigs = async (req, res, next) => {
+  try {
+    const recommendations = await recommendGigsFor(req.user, { limit: parseLimit(req.query.limit) })
+
+    await Gig.populate(
+      recommendations.map(({ gig }) => gig),
+      [
+        { path: "ownerId", select: PUBLIC_USER_FIELDS },
+        { path: "skills", select: "name slug" },
+      ],
+    )
+
+    res.status(200).json({
+      success: true,
+      count: recommendations.length,
+      gigs: recommendations.map(({ gig, score, matchedSkills }) => ({
+        ...gig.toObject(),
+        score,
+        matchedSkills,
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // @desc    Get single gig by ID
 // @route   GET /api/gigs/:id
-// @access  Public
+// @access  Public (invite-only gigs: owner and invitees)
 export const getGigById = async (req, res, next) => {
   try {
-    const gig = await Gig.findById(req.params.id).populate("ownerId", "name email")
+    const gig = await Gig.findById(req.params.id)
+      .populate("ownerId", PUBLIC_USER_FIELDS)
+      .populate("categoryId", "name slug")
+      .populate("skills", "name slug")
 
-    if (!gig) {
-      return res.status(404).json({
-        success: false,
-        message: "Gig not found",
-      })
+    // Gigs hidden by moderators are only visible to their owner in /my/gigs,
+    // and invite-only gigs look missing to anyone who wasn't invited
+    if (!gig || gig.hiddenAt || !(await canViewGig(gig, req.user))) {
+      throw new NotFoundError("Gig not found")
     }
 
     res.status(200).json({
@@ -62,16 +167,30 @@ export const getGigById = async (req, res, next) => {
 // @access  Private
 export const createGig = async (req, res, next) => {
   try {
-    const { title, description, budget } = req.body
+    const { title, description, budget, categoryId, skills, visibility } = req.body
+    const { biddingDeadline = null, deliveryDueDate = null } = req.body
+
+    checkDeadlines({ biddingDeadline, deliveryDueDate })
 
     const gig = await Gig.create({
       title,
       description,
       budget,
+      categoryId: categoryId === undefined ? null : await resolveCategoryId(categoryId),
+      skills: skills === undefined ? [] : await resolveSkillIds(skills),
+      visibility,
+      biddingDeadline,
+      deliveryDueDate,
       ownerId: req.user._id,
+      statusHistory: [historyEntry("open", req.user._id)],
     })
 
-    const populatedGig = await Gig.findById(gig._id).populate("ownerId", "name email")
+    await scheduleBiddingDeadline(gig)
+
+    const populatedGig = await Gig.findById(gig._id).populate("ownerId", PUBLIC_USER_FIELDS)
+
+    // Saved search alerts go out in the background (only public gigs match)
+    notifySavedSearchMatches(req.app.get("io"), gig)
 
     res.status(201).json({
       success: true,
@@ -88,40 +207,45 @@ export const createGig = async (req, res, next) => {
 // @access  Private (Owner only)
 export const updateGig = async (req, res, next) => {
   try {
-    const gig = await Gig.findById(req.params.id)
+    // Loaded and ownership-checked by requireOwnership
+    const { gig } = req
 
-    if (!gig) {
-      return res.status(404).json({
-        success: false,
-        message: "Gig not found",
-      })
+    // Don't allow updating once the gig has left the bidding phase
+    if (gig.status !== "open") {
+      throw new ConflictError("Cannot update a gig that is no longer open", { code: "GIG_NOT_OPEN" })
     }
 
-    // Check ownership
-    if (gig.ownerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to update this gig",
-      })
-    }
+    const { title, description, budget, categoryId, skills, visibility, biddingDeadline, deliveryDueDate } = req.body
 
-    // Don't allow updating if gig is already assigned
-    if (gig.status === "assigned") {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot update an assigned gig",
-      })
-    }
+    if (title !== undefined) gig.title = title
+    if (description !== undefined) gig.description = description
+    if (budget !== undefined) gig.budget = budget
+    if (visibility !== undefined) gig.visibility = visibility
 
-    const { title, description, budget } = req.body
+    if (categoryId !== undefined) gig.categoryId = await resolveCategoryId(categoryId)
+    if (skills !== undefined) gig.skills = await resolveSkillIds(skills)
 
-    gig.title = title || gig.title
-    gig.description = description || gig.description
-    gig.budget = budget || gig.budget
+    // A new (future) deadline, or none at all, reopens bidding
+    if (biddingDeadline !== undefined) {
+      gig.biddingDeadline = biddingDeadline
+      gig.biddingClosedAt = null
+    }
+    if (deliveryDueDate !== undefined) gig.deliveryDueDate = deliveryDueDate
+
+    checkDeadlines(gig)
 
     await gig.save()
 
-    const updatedGig = await Gig.findById(gig._id).populate("ownerId", "name email")
+    if (biddingDeadline !== undefined) await scheduleBiddingDeadline(gig)
+
+    const updatedGig = await Gig.findById(gig._id).populate("ownerId", PUBLIC_USER_FIELDS)
+
+    await notifyMany(req.app.get("io"), await getPendingBidders(gig._id), {
+      type: "gig_updated",
+      title: "A gig you bid on was updated",
+      message: `"${gig.title}" has been updated by its owner`,
+      data: { gigId: gig._id },
+    })
 
     res.status(200).json({
       success: true,
@@ -138,27 +262,8 @@ export const updateGig = async (req, res, next) => {
 // @access  Private (Owner only)
 export const deleteGig = async (req, res, next) => {
   try {
-    const gig = await Gig.findById(req.params.id)
-
-    if (!gig) {
-      return res.status(404).json({
-        success: false,
-        message: "Gig not found",
-      })
-    }
-
-    // Check ownership
-    if (gig.ownerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to delete this gig",
-      })
-    }
-
-    // Delete all bids associated with this gig
-    await Bid.deleteMany({ gigId: gig._id })
-
-    await gig.deleteOne()
+    // Loaded and ownership-checked by requireOwnership
+    await deleteGigWithBids(req.gig, req.app.get("io"))
 
     res.status(200).json({
       success: true,
@@ -170,18 +275,195 @@ export const deleteGig = async (req, res, next) => {
 }
 
 // @desc    Get user's own gigs
-// @route   GET /api/gigs/my/gigs
+// @route   GET /api/gigs/my/gigs?status=&sort=&cursor=&limit=
 // @access  Private
 export const getMyGigs = async (req, res, next) => {
   try {
-    const gigs = await Gig.find({ ownerId: req.user._id }).populate("ownerId", "name email").sort({ createdAt: -1 })
+    const { status, sort, cursor, limit } = req.query
+
+    const filter = { ownerId: req.user._id }
+    if (status) {
+      filter.status = buildGigFilter({ status }).status
+    }
+
+    const { items: gigs, total, nextCursor } = await paginate(Gig, {
+      filter,
+      ...resolveGigSort(sort),
+      cursor,
+      limit,
+      populate: [["ownerId", PUBLIC_USER_FIELDS]],
+    })
 
     res.status(200).json({
       success: true,
       count: gigs.length,
+      total,
+      nextCursor,
       gigs,
     })
   } catch (error) {
     next(error)
   }
 }
+
+// Id of the freelancer hired for a gig, if any
+const getHiredFreelancerId = async (gig) => {
+  if (!gig.hiredBidId) return null
+  const hiredBid = await Bid.findById(gig.hiredBidId).select("freelancerId")
+  return hiredBid?.freelancerId || null
+}
+
+// Resolve the caller's role on a gig: "owner", "freelancer" (hired) or null
+const getParticipantRole = (gig, userId, freelancerId) => {
+  if (isSameUser(gig.ownerId, userId)) return "owner"
+  if (isSameUser(freelancerId, userId)) return "freelancer"
+  return null
+}
+
+// Build a handler that moves a gig through the lifecycle via `action`
+const transitionGig = (action) => async (req, res, next) => {
+  try {
+    const gig = await Gig.findById(req.params.id)
+
+    if (!gig) {
+      throw new NotFoundError("Gig not found")
+    }
+
+    const freelancerId = await getHiredFreelancerId(gig)
+    const role = getParticipantRole(gig, req.user._id, freelancerId)
+
+    if (!role || !isAllowedActor(action, role)) {
+      throw new ForbiddenError("Not authorized to perform this action on this gig")
+    }
+
+    if (!canApply(action, gig.status)) {
+      throw new ConflictError(`Cannot ${action.replace("_", " ")} a gig that is ${gig.status.replace("_", " ")}`, {
+        code: "INVALID_TRANSITION",
+        details: { status: gig.status },
+      })
+    }
+
+    const { to } = GIG_ACTIONS[action]
+
+    // Only apply if nobody moved the gig in the meantime
+    const applyTransition = async (session = null) => {
+      const updated = await Gig.findOneAndUpdate(
+        { _id: gig._id, status: gig.status },
+        {
+          $set: { status: to },
+          $push: { statusHistory: historyEntry(to, req.user._id, req.body?.note) },
+        },
+        { new: true, runValidators: true, session },
+      )
+
+      if (!updated) {
+        throw new ConflictError("Gig status was changed by another request, please retry", {
+          code: "CONCURRENT_UPDATE",
+        })
+      }
+
+      return updated
+    }
+
+    const io = req.app.get("io")
+    let updatedGig
+
+    if (action === "cancel") {
+      // Cancelling closes out every pending bid and refunds anything in
+      // escrow, together with the status change or not at all
+      const rejectedBidders = await getPendingBidders(gig._id)
+
+      const session = await mongoose.startSession()
+      try {
+        await session.withTransaction(async () => {
+          updatedGig = await applyTransition(session)
+          await Bid.updateMany(
+            { gigId: gig._id, status: { $in: OPEN_BID_STATUSES } },
+            { $set: { status: "rejected", counterOffer: null } },
+            { session },
+          )
+          await cancelContractForGig(gig._id, session)
+        })
+      } finally {
+        session.endSession()
+      }
+
+      await notifyMany(io, rejectedBidders, {
+        type: "bid_rejected",
+        title: "Bid closed",
+        message: `"${gig.title}" was cancelled by its owner`,
+        data: { gigId: gig._id },
+      })
+    } else if (action === "complete") {
+      // The contract is closed with the gig, which is refused while any
+      // milestone is still unpaid
+      const session = await mongoose.startSession()
+      try {
+        await session.withTransaction(async () => {
+          updatedGig = await applyTransition(session)
+          await completeContractForGig(gig._id, session)
+        })
+      } finally {
+        session.endSession()
+      }
+    } else {
+      updatedGig = await applyTransition()
+    }
+
+    await updatedGig.populate("ownerId", PUBLIC_USER_FIELDS)
+
+    // Let the other party know the gig moved on
+    const recipientId = role === "owner" ? freelancerId : gig.ownerId
+    if (recipientId) {
+      await notify(io, recipientId, {
+        type: "gig_status_changed",
+        title: "Gig status changed",
+        message: `"${gig.title}" is now ${to.replace("_", " ")}`,
+        data: { gigId: gig._id, status: to },
+      })
+    }
+
+    // Gig outcomes feed into both parties' completion rate
+    if (to === "completed" || to === "cancelled") {
+      await refreshReputationForGig(gig._id)
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Gig ${to.replace("_", " ")}`,
+      gig: updatedGig,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Start work on an assigned gig
+// @route   PATCH /api/gigs/:id/start
+// @access  Private (Hired freelancer only)
+export const startGig = transitionGig("start")
+
+// @desc    Submit work for review
+// @route   PATCH /api/gigs/:id/submit
+// @access  Private (Hired freelancer only)
+export const submitGig = transitionGig("submit")
+
+// @desc    Send submitted work back for changes
+// @route   PATCH /api/gigs/:id/request-changes
+// @access  Private (Owner only)
+export const requestGigChanges = transitionGig("request_changes")
+
+// @desc    Accept submitted work and complete the gig
+// @route   PATCH /api/gigs/:id/complete
+// @access  Private (Owner only)
+export const completeGig = transitionGig("complete")
+
+// @desc    Cancel a gig
+// @route   PATCH /api/gigs/:id/cancel
+// @access  Private (Owner only)
+export const cancelGig = transitionGig("cancel")
+
+// @desc    Raise a dispute on a gig in progress
+// @route   PATCH /api/gigs/:id/dispute
+// @access  Private (Owner or hired freelancer)
+export const disputeGig = transitionGig("dispute")
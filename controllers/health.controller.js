@@ -0,0 +1,68 @@
+import mongoose from "mongoose"
+import { isShuttingDown } from "../utils/shutdown.js"
+
+const MONGO_STATES = ["disconnected", "connected", "connecting", "disconnecting"]
+
+// How long the database ping may take before the instance counts as not ready
+const PING_TIMEOUT_MS = 2000
+
+const pingDatabase = async () => {
+  if (mongoose.connection.readyState !== 1) return false
+
+  let timer
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("ping timed out")), PING_TIMEOUT_MS)
+      }),
+    ])
+    return true
+  } catch {
+    return false
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// @desc    Liveness: the process is up and serving requests
+// @route   GET /api/health/live (also GET /api/health)
+// @access  Public
+export const getLiveness = (req, res) => {
+  res.status(200).json({
+    status: "ok",
+    message: "GigFlow API running",
+    uptime: Math.round(process.uptime()),
+  })
+}
+
+// @desc    Readiness: MongoDB and Socket.IO are usable and we're not shutting down
+// @route   GET /api/health/ready
+// @access  Public
+export const getReadiness = async (req, res, next) => {
+  try {
+    const io = req.app.get("io")
+    const databaseUp = await pingDatabase()
+
+    const checks = {
+      database: {
+        status: databaseUp ? "up" : "down",
+        state: MONGO_STATES[mongoose.connection.readyState] ?? "unknown",
+      },
+      sockets: {
+        status: io ? "up" : "down",
+        connections: io ? io.engine.clientsCount : 0,
+      },
+      shuttingDown: isShuttingDown(),
+    }
+
+    const ready = databaseUp && Boolean(io) && !checks.shuttingDown
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "unavailable",
+      checks,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,99 @@
+import Gig from "../models/Gig.model.js"
+import Invitation from "../models/Invitation.model.js"
+import { PUBLIC_USER_FIELDS } from "../services/reputation.service.js"
+import { invitationsFor, inviteToGig } from "../services/invitation.service.js"
+import { paginate } from "../utils/pagination.js"
+import { ConflictError, NotFoundError } from "../utils/errors.js"
+
+// @desc    Invite freelancers to bid on a gig, by user id or email
+// @route   POST /api/gigs/:id/invitations
+// @access  Private (Owner only)
+export const createInvitations = async (req, res, next) => {
+  try {
+    // Loaded and ownership-checked by requireOwnership
+    const { gig } = req
+
+    if (gig.status !== "open") {
+      throw new ConflictError("Cannot invite freelancers to a gig that is no longer open", { code: "GIG_NOT_OPEN" })
+    }
+
+    const invitations = await inviteToGig(req.app.get("io"), gig, req.user, req.body)
+
+    res.status(201).json({
+      success: true,
+      message: `${invitations.length} invitation(s) sent`,
+      count: invitations.length,
+      invitations,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    List a gig's invitations
+// @route   GET /api/gigs/:id/invitations
+// @access  Private (Owner only)
+export const getGigInvitations = async (req, res, next) => {
+  try {
+    const invitations = await Invitation.find({ gigId: req.gig._id })
+      .populate("userId", PUBLIC_USER_FIELDS)
+      .sort({ createdAt: 1 })
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      invitations,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Withdraw an invitation. Bids already placed are kept.
+// @route   DELETE /api/gigs/:id/invitations/:invitationId
+// @access  Private (Owner only)
+export const revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOneAndDelete({ _id: req.params.invitationId, gigId: req.gig._id })
+
+    if (!invitation) {
+      throw new NotFoundError("Invitation not found")
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation withdrawn",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get open gigs the current user has been invited to
+// @route   GET /api/gigs/invitations?cursor=&limit=
+// @access  Private
+export const getInvitedGigs = async (req, res, next) => {
+  try {
+    const invitations = await Invitation.find(invitationsFor(req.user)).select("gigId status")
+    const statusByGig = new Map(invitations.map((invitation) => [String(invitation.gigId), invitation.status]))
+
+    const { items, total, nextCursor } = await paginate(Gig, {
+      filter: { _id: { $in: [...statusByGig.keys()] }, status: "open", hiddenAt: null },
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      populate: [["ownerId", PUBLIC_USER_FIELDS]],
+    })
+
+    const gigs = items.map((gig) => ({ ...gig.toObject(), invitationStatus: statusByGig.get(String(gig._id)) }))
+
+    res.status(200).json({
+      success: true,
+      count: gigs.length,
+      total,
+      nextCursor,
+      gigs,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
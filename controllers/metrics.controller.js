@@ -0,0 +1,20 @@
+import { config } from "../config/index.js"
+import { renderMetrics } from "../utils/metrics.js"
+import { UnauthorizedError } from "../utils/errors.js"
+
+// @desc    Prometheus metrics
+// @route   GET /api/metrics
+// @access  Public, or Bearer METRICS_TOKEN when it is set
+export const getMetrics = async (req, res, next) => {
+  try {
+    const token = config.metricsToken
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      throw new UnauthorizedError("Not authorized to read metrics")
+    }
+
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8")
+    res.status(200).send(renderMetrics())
+  } catch (error) {
+    next(error)
+  }
+}
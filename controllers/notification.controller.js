@@ -0,0 +1,162 @@
+import mongoose from "mongoose"
+import Notification, { NOTIFICATION_TYPES } from "../models/Notification.model.js"
+import User from "../models/User.model.js"
+import { unreadCountFor } from "../services/notification.service.js"
+import { BadRequestError, NotFoundError } from "../utils/errors.js"
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+// Preferences with every known type filled in
+const resolvePreferences = (user) =>
+  Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, user.notificationPreferences?.get(type) !== false]))
+
+// @desc    Get the current user's notifications, newest first
+// @route   GET /api/notifications?unread=true&cursor=<id>&limit=20
+// @access  Private
+export const getNotifications = async (req, res, next) => {
+  try {
+    const { cursor, unread } = req.query
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
+    const query = { userId: req.user._id }
+
+    if (unread === "true") {
+      query.readAt = null
+    }
+
+    if (cursor) {
+      if (!mongoose.isValidObjectId(cursor)) {
+        throw new BadRequestError("Invalid cursor", { code: "INVALID_CURSOR" })
+      }
+      query._id = { $lt: cursor }
+    }
+
+    const notifications = await Notification.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+
+    const hasMore = notifications.length > limit
+    if (hasMore) notifications.pop()
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount: await unreadCountFor(req.user._id),
+      notifications,
+      nextCursor: hasMore ? notifications[notifications.length - 1]._id : null,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get the number of unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+export const getUnreadCount = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      unreadCount: await unreadCountFor(req.user._id),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private (Recipient only)
+export const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id })
+
+    if (!notification) {
+      throw new NotFoundError("Notification not found")
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date()
+      await notification.save()
+    }
+
+    res.status(200).json({
+      success: true,
+      notification,
+      unreadCount: await unreadCountFor(req.user._id),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Mark all notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { userId: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } },
+    )
+
+    res.status(200).json({
+      success: true,
+      message: "All notifications marked as read",
+      readCount: modifiedCount,
+      unreadCount: 0,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+export const getPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("notificationPreferences")
+
+    res.status(200).json({
+      success: true,
+      preferences: resolvePreferences(user),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+export const updatePreferences = async (req, res, next) => {
+  try {
+    const updates = req.body?.preferences || {}
+
+    for (const [type, enabled] of Object.entries(updates)) {
+      if (!NOTIFICATION_TYPES.includes(type) || typeof enabled !== "boolean") {
+        throw new BadRequestError(
+          `Invalid preference "${type}", expected one of ${NOTIFICATION_TYPES.join(", ")} set to true or false`,
+        )
+      }
+    }
+
+    const user = await User.findById(req.user._id).select("notificationPreferences")
+
+    for (const [type, enabled] of Object.entries(updates)) {
+      user.notificationPreferences.set(type, enabled)
+    }
+
+    await user.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Preferences updated successfully",
+      preferences: resolvePreferences(user),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,90 @@
+import Review from "../models/Review.model.js"
+import Contract from "../models/Contract.model.js"
+import Gig from "../models/Gig.model.js"
+import { refreshReputation } from "../services/reputation.service.js"
+import { isSameUser } from "../middleware/authorize.middleware.js"
+import { ConflictError, ForbiddenError, NotFoundError } from "../utils/errors.js"
+
+// @desc    Leave a review for the other party on a completed gig
+// @route   POST /api/reviews
+// @access  Private (Contract parties only)
+export const createReview = async (req, res, next) => {
+  try {
+    const { contractId, rating, comment } = req.body
+
+    const contract = await Contract.findById(contractId)
+
+    if (!contract) {
+      throw new NotFoundError("Contract not found")
+    }
+
+    let reviewerRole = null
+    let revieweeId = null
+
+    if (isSameUser(contract.ownerId, req.user)) {
+      reviewerRole = "owner"
+      revieweeId = contract.freelancerId
+    } else if (isSameUser(contract.freelancerId, req.user)) {
+      reviewerRole = "freelancer"
+      revieweeId = contract.ownerId
+    } else {
+      throw new ForbiddenError("Not authorized to review this contract")
+    }
+
+    const gig = await Gig.findById(contract.gigId).select("status")
+
+    if (!gig || gig.status !== "completed") {
+      throw new ConflictError("Reviews can only be left once the gig is completed", { code: "GIG_NOT_COMPLETED" })
+    }
+
+    const existingReview = await Review.findOne({ contractId, reviewerId: req.user._id })
+
+    if (existingReview) {
+      throw new ConflictError("You have already reviewed this contract", { code: "DUPLICATE_REVIEW" })
+    }
+
+    const review = await Review.create({
+      contractId,
+      gigId: contract.gigId,
+      reviewerId: req.user._id,
+      revieweeId,
+      reviewerRole,
+      rating,
+      comment,
+    })
+
+    await refreshReputation(revieweeId)
+
+    const populatedReview = await Review.findById(review._id)
+      .populate("reviewerId", "name")
+      .populate("revieweeId", "name reputation")
+
+    res.status(201).json({
+      success: true,
+      message: "Review submitted successfully",
+      review: populatedReview,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get reviews received by a user
+// @route   GET /api/reviews/user/:userId
+// @access  Public
+export const getUserReviews = async (req, res, next) => {
+  try {
+    const reviews = await Review.find({ revieweeId: req.params.userId })
+      .populate("reviewerId", "name")
+      .populate("gigId", "title")
+      .sort({ createdAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      reviews,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
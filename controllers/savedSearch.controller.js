@@ -0,0 +1,114 @@
+import SavedSearch, { MAX_SAVED_SEARCHES } from "../models/SavedSearch.model.js"
+import { buildSavedSearchFilter } from "../services/savedSearch.service.js"
+import { resolveCategoryId, resolveSkillIds } from "../services/taxonomy.service.js"
+import { ConflictError, NotFoundError } from "../utils/errors.js"
+
+// Copy the editable fields from the request body onto a saved search
+const applySavedSearchFields = async (savedSearch, body) => {
+  const { name, search, filters, alerts, digest } = body
+
+  if (name !== undefined) savedSearch.name = name
+  if (search !== undefined) savedSearch.search = search
+  if (alerts !== undefined) savedSearch.alerts = alerts
+  if (digest !== undefined) savedSearch.digest = digest
+
+  if (filters !== undefined) {
+    const { categoryId, skills, minBudget, maxBudget } = filters || {}
+    savedSearch.filters = {
+      categoryId: categoryId ? await resolveCategoryId(categoryId) : null,
+      skills: skills ? await resolveSkillIds(skills) : [],
+      minBudget: minBudget ?? null,
+      maxBudget: maxBudget ?? null,
+    }
+  }
+
+  // Surface bad filter values (e.g. non-numeric budgets) as a 400 now
+  buildSavedSearchFilter(savedSearch)
+}
+
+// @desc    Get the current user's saved searches
+// @route   GET /api/saved-searches
+// @access  Private
+export const getSavedSearches = async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.find({ userId: req.user._id }).sort({ createdAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      count: savedSearches.length,
+      limit: MAX_SAVED_SEARCHES,
+      savedSearches,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Save a search
+// @route   POST /api/saved-searches
+// @access  Private
+export const createSavedSearch = async (req, res, next) => {
+  try {
+    const count = await SavedSearch.countDocuments({ userId: req.user._id })
+
+    if (count >= MAX_SAVED_SEARCHES) {
+      throw new ConflictError(`You can save at most ${MAX_SAVED_SEARCHES} searches`, { code: "LIMIT_REACHED" })
+    }
+
+    const savedSearch = new SavedSearch({ userId: req.user._id })
+    await applySavedSearchFields(savedSearch, req.body)
+    await savedSearch.save()
+
+    res.status(201).json({
+      success: true,
+      message: "Search saved successfully",
+      savedSearch,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Update a saved search
+// @route   PUT /api/saved-searches/:id
+// @access  Private (Owner only)
+export const updateSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, userId: req.user._id })
+
+    if (!savedSearch) {
+      throw new NotFoundError("Saved search not found")
+    }
+
+    await applySavedSearchFields(savedSearch, req.body)
+    await savedSearch.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Saved search updated successfully",
+      savedSearch,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private (Owner only)
+export const deleteSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.user._id })
+
+    if (!savedSearch) {
+      throw new NotFoundError("Saved search not found")
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Saved search deleted successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,95 @@
+import mongoose from "mongoose"
+import Category from "../models/Category.model.js"
+import Skill from "../models/Skill.model.js"
+import { escapeRegex } from "../utils/gigSearch.js"
+import { resolveCategoryId } from "../services/taxonomy.service.js"
+import { BadRequestError } from "../utils/errors.js"
+
+// @desc    Get all categories
+// @route   GET /api/taxonomy/categories
+// @access  Public
+export const getCategories = async (req, res, next) => {
+  try {
+    const categories = await Category.find().sort({ name: 1 })
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      categories,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Create a category
+// @route   POST /api/taxonomy/categories
+// @access  Private (Admin only)
+export const createCategory = async (req, res, next) => {
+  try {
+    const { name, description } = req.body
+
+    const category = await Category.create({ name, description })
+
+    res.status(201).json({
+      success: true,
+      message: "Category created successfully",
+      category,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get skills, optionally by category or name prefix
+// @route   GET /api/taxonomy/skills?category=<id>&search=<prefix>
+// @access  Public
+export const getSkills = async (req, res, next) => {
+  try {
+    const { category, search } = req.query
+    const query = {}
+
+    if (category) {
+      if (!mongoose.isValidObjectId(category)) {
+        throw new BadRequestError("category must be a valid id")
+      }
+      query.categoryId = category
+    }
+
+    if (typeof search === "string" && search.trim()) {
+      query.name = { $regex: `^${escapeRegex(search.trim())}`, $options: "i" }
+    }
+
+    const skills = await Skill.find(query).populate("categoryId", "name slug").sort({ name: 1 })
+
+    res.status(200).json({
+      success: true,
+      count: skills.length,
+      skills,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Create a skill
+// @route   POST /api/taxonomy/skills
+// @access  Private (Admin only)
+export const createSkill = async (req, res, next) => {
+  try {
+    const { name, categoryId } = req.body
+
+    const skill = await Skill.create({
+      name,
+      categoryId: categoryId === undefined ? null : await resolveCategoryId(categoryId),
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Skill created successfully",
+      skill,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,83 @@
+import User from "../models/User.model.js"
+import { getProfileStats, hasHireRelationship, serializeProfile } from "../services/profile.service.js"
+import { resolveSkillIds } from "../services/taxonomy.service.js"
+import { NotFoundError } from "../utils/errors.js"
+
+const SKILL_FIELDS = "name slug categoryId"
+
+// Profile fields a user can edit with PUT /api/users/me
+const PROFILE_FIELDS = ["name", "headline", "bio", "hourlyRate", "location", "timezone", "avatarUrl", "portfolio"]
+
+// @desc    Update the current user's profile
+// @route   PUT /api/users/me
+// @access  Private
+export const updateMyProfile = async (req, res, next) => {
+  try {
+    const updates = Object.fromEntries(
+      PROFILE_FIELDS.filter((field) => field in req.body).map((field) => [field, req.body[field]]),
+    )
+
+    if (req.body.skills !== undefined) {
+      updates.skills = await resolveSkillIds(req.body.skills)
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true, runValidators: true })
+      .populate("skills", SKILL_FIELDS)
+
+    res.status(200).json({
+      success: true,
+      message: "Profile updated successfully",
+      user: { ...serializeProfile(user), email: user.email, emailVerified: user.emailVerified },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get a user's public profile and activity stats. Email is only
+//          included for the user themselves and anyone they have a contract with.
+// @route   GET /api/users/:id
+// @access  Public (optional auth)
+export const getUserProfile = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).populate("skills", SKILL_FIELDS)
+
+    if (!user || user.suspendedAt) {
+      throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" })
+    }
+
+    const viewerId = req.user?._id
+    const [stats, canSeeEmail] = await Promise.all([
+      getProfileStats(user._id, req.user),
+      viewerId ? viewerId.equals(user._id) || hasHireRelationship(viewerId, user._id) : false,
+    ])
+
+    res.status(200).json({
+      success: true,
+      user: { ...serializeProfile(user), ...(canSeeEmail && { email: user.email }) },
+      stats,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Replace the current user's declared skills
+// @route   PUT /api/users/me/skills
+// @access  Private
+export const updateMySkills = async (req, res, next) => {
+  try {
+    const skills = await resolveSkillIds(req.body.skills)
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: { skills } }, { new: true, runValidators: true })
+      .populate("skills", SKILL_FIELDS)
+
+    res.status(200).json({
+      success: true,
+      message: "Skills updated successfully",
+      skills: user.skills,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
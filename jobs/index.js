@@ -0,0 +1,30 @@
+import { defineJob, scheduleRecurringJob } from "../utils/scheduler.js"
+import { closeBidding, expireStaleBids, flagOverdueGigs, remindUnreviewedBids } from "../services/deadline.service.js"
+import { runSavedSearchDigests } from "../services/savedSearch.service.js"
+
+const MINUTE_MS = 60 * 1000
+const HOUR_MS = 60 * MINUTE_MS
+
+// How often each recurring job runs. Saved search digests are checked
+// hourly; each search tracks its own period.
+const RECURRING_JOBS = {
+  "bids.expire": 5 * MINUTE_MS,
+  "gigs.flagOverdue": HOUR_MS,
+  "gigs.remindUnreviewedBids": 6 * HOUR_MS,
+  "savedSearches.digest": HOUR_MS,
+}
+
+// Register every background job with the scheduler. Handlers receive the
+// scheduler context ({ io }), the job payload and the time of the run.
+export const registerJobs = () => {
+  defineJob("gig.closeBidding", ({ io, payload, now }) => closeBidding(io, payload.gigId, now))
+  defineJob("bids.expire", ({ io, now }) => expireStaleBids(io, now))
+  defineJob("gigs.flagOverdue", ({ io, now }) => flagOverdueGigs(io, now))
+  defineJob("gigs.remindUnreviewedBids", ({ io, now }) => remindUnreviewedBids(io, now))
+  defineJob("savedSearches.digest", ({ io, now }) => runSavedSearchDigests(io, now))
+}
+
+// Create the recurring jobs if they don't exist yet. Safe to call on every
+// start: existing jobs keep their next run time.
+export const scheduleRecurringJobs = () =>
+  Promise.all(Object.entries(RECURRING_JOBS).map(([name, intervalMs]) => scheduleRecurringJob(name, intervalMs)))
@@ -0,0 +1,52 @@
+import { logger } from "../utils/logger.js"
+import { httpRequestDuration, httpRequestsTotal } from "../utils/metrics.js"
+
+// Route pattern for metrics labels, e.g. /api/gigs/:id. Requests that matched
+// no route share one label so random URLs can't blow up the series count.
+//
+// Express resets req.baseUrl when an error leaves a router, so the pattern is
+// captured at the moment the router assigns req.route instead of at the end.
+const trackRoute = (req) => {
+  let label = "unmatched"
+  let route
+
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value
+      label = `${req.baseUrl}${value.path === "/" ? "" : value.path}` || "/"
+    },
+  })
+
+  return () => label
+}
+
+// Log one line per request once the response is sent and record its latency
+export const accessLog = (req, res, next) => {
+  const startedAt = process.hrtime.bigint()
+  const routeLabel = trackRoute(req)
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9
+    const route = routeLabel()
+    const { statusCode } = res
+
+    httpRequestsTotal.inc({ method: req.method, route, status: statusCode })
+    httpRequestDuration.observe({ method: req.method, route }, seconds)
+
+    const level = statusCode >= 500 ? "error" : statusCode >= 400 ? "warn" : "info"
+    logger[level]("request completed", {
+      method: req.method,
+      path: req.originalUrl,
+      route,
+      status: statusCode,
+      durationMs: Math.round(seconds * 1e6) / 1e3,
+      userId: req.user?._id?.toString(),
+      ip: req.ip,
+    })
+  })
+
+  next()
+}
@@ -1,41 +1,103 @@
 import jwt from "jsonwebtoken"
+import { config } from "../config/index.js"
 import User from "../models/User.model.js"
+import { findActiveSession } from "../services/session.service.js"
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js"
+import { getLogContext, logger } from "../utils/logger.js"
+
+// Read the JWT from the "token" cookie, falling back to a Bearer Authorization header
+export const extractToken = ({ cookies, authorization }) => {
+  let token = cookies?.token
+
+  if (!token && authorization?.startsWith("Bearer")) {
+    token = authorization.split(" ")[1]
+  }
+
+  return token || null
+}
+
+// Verify a token and load its user. Throws if the token is invalid, expired
+// or its session has been revoked; resolves with a null user if the account
+// no longer exists.
+export const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, config.jwt.secret)
+
+  const session = await findActiveSession(decoded.sid)
+  if (!session || session.userId.toString() !== decoded.userId) {
+    throw new Error("Session revoked or expired")
+  }
+
+  const user = await User.findById(decoded.userId).select("-password")
+
+  return { user, decoded, session }
+}
 
 export const protect = async (req, res, next) => {
   try {
-    // Try to get token from cookie first, fallback to Authorization header
-    let token = req.cookies?.token
+    const token = extractToken({ cookies: req.cookies, authorization: req.headers.authorization })
 
-    if (!token && req.headers.authorization?.startsWith("Bearer")) {
-      token = req.headers.authorization.split(" ")[1]
+    if (!token) {
+      throw new UnauthorizedError("Not authorized, no token provided", { code: "TOKEN_MISSING" })
     }
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "Not authorized, no token provided",
-      })
+    // Verify token and get user from it
+    let authenticated
+    try {
+      authenticated = await authenticateToken(token)
+    } catch (error) {
+      logger.debug("token rejected", { reason: error.message })
+      throw new UnauthorizedError("Not authorized, token invalid or expired", { code: "TOKEN_INVALID" })
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    req.user = authenticated.user
+    req.sessionId = authenticated.session._id
 
-    // Get user from token
-    req.user = await User.findById(decoded.userId).select("-password")
+    // Tag the rest of this request's log lines with the user
+    const logContext = getLogContext()
+    if (logContext && req.user) logContext.userId = req.user._id.toString()
 
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: "Not authorized, user not found",
-      })
+      throw new UnauthorizedError("Not authorized, user not found", { code: "USER_NOT_FOUND" })
+    }
+
+    if (req.user.suspendedAt) {
+      throw new ForbiddenError("Your account has been suspended", { code: "ACCOUNT_SUSPENDED" })
     }
 
     next()
   } catch (error) {
-    console.error("[v0] Auth middleware error:", error)
-    return res.status(401).json({
-      success: false,
-      message: "Not authorized, token invalid or expired",
-    })
+    next(error)
   }
 }
+
+// For public routes whose response depends on who is asking: sets
+// `req.user` when a valid token is present, otherwise carries on as a guest
+export const optionalAuth = async (req, res, next) => {
+  const token = extractToken({ cookies: req.cookies, authorization: req.headers.authorization })
+  if (!token) return next()
+
+  try {
+    const { user, session } = await authenticateToken(token)
+
+    if (user && !user.suspendedAt) {
+      req.user = user
+      req.sessionId = session._id
+
+      const logContext = getLogContext()
+      if (logContext) logContext.userId = user._id.toString()
+    }
+  } catch (error) {
+    logger.debug("optional token ignored", { reason: error.message })
+  }
+
+  next()
+}
+
+// Use after `protect` on actions that need a confirmed email address
+export const requireVerified = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    return next(new ForbiddenError("Please verify your email address first", { code: "EMAIL_NOT_VERIFIED" }))
+  }
+
+  next()
+}
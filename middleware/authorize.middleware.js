@@ -0,0 +1,47 @@
+import { ForbiddenError, NotFoundError } from "../utils/errors.js"
+
+export const ROLES = ["client", "freelancer", "admin"]
+
+// Compare two user references: ObjectIds, id strings or populated documents
+export const isSameUser = (a, b) => {
+  if (!a || !b) return false
+  return String(a._id ?? a) === String(b._id ?? b)
+}
+
+export const hasRole = (user, role) => Boolean(user?.roles?.includes(role))
+
+// Use after `protect`: only let through users holding one of `roles`
+export const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.some((role) => hasRole(req.user, role))) {
+      return next(new ForbiddenError("Not authorized to perform this action"))
+    }
+
+    next()
+  }
+
+// Use after `protect`: load the document named by `req.params[param]` into
+// `req[as]` and make sure `document[field]` is the current user.
+//
+//   requireOwnership({ model: Gig, param: "id", field: "ownerId", as: "gig", action: "update this gig" })
+export const requireOwnership =
+  ({ model, param = "id", field = "ownerId", as, action }) =>
+  async (req, res, next) => {
+    try {
+      const resource = await model.findById(req.params[param])
+
+      if (!resource) {
+        throw new NotFoundError(`${model.modelName} not found`)
+      }
+
+      if (!isSameUser(resource[field], req.user)) {
+        throw new ForbiddenError(`Not authorized to ${action}`)
+      }
+
+      req[as] = resource
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
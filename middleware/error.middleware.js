@@ -1,43 +1,95 @@
-export const errorHandler = (err, req, res, next) => {
-  console.error("[v0] Error:", err)
+import mongoose from "mongoose"
+import { config } from "../config/index.js"
+import { logger } from "../utils/logger.js"
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} from "../utils/errors.js"
+
+// Translate errors raised by libraries into their AppError equivalent.
+// Anything unrecognised is left alone and becomes a 500.
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err
 
   // Mongoose validation error
-  if (err.name === "ValidationError") {
-    const errors = Object.values(err.errors).map((e) => e.message)
-    return res.status(400).json({
-      success: false,
-      message: "Validation Error",
-      errors,
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }))
+    return new ValidationError(errors, { statusCode: 400 })
+  }
+
+  // Malformed ObjectId or value that can't be cast to the schema type
+  if (err instanceof mongoose.Error.CastError) {
+    return new ValidationError([{ field: err.path, message: `Invalid ${err.path}` }], {
+      message: `Invalid ${err.path}`,
+      statusCode: 400,
+      code: "INVALID_ID",
     })
   }
 
+  // Transaction lost a race with another write (e.g. two concurrent hires)
+  if (err.code === 112 || err.hasErrorLabel?.("TransientTransactionError")) {
+    return new ConflictError("This was changed by another request, please retry", { code: "CONCURRENT_UPDATE" })
+  }
+
   // Mongoose duplicate key error
   if (err.code === 11000) {
-    const field = Object.keys(err.keyPattern)[0]
-    return res.status(400).json({
-      success: false,
-      message: `${field} already exists`,
-    })
+    const field = Object.keys(err.keyPattern || {})[0] || "value"
+    const error = new ConflictError(`${field} already exists`, { code: "DUPLICATE_VALUE" })
+    error.errors = [{ field, message: `${field} already exists` }]
+    return error
+  }
+
+  // Body that isn't valid JSON
+  if (err.type === "entity.parse.failed") {
+    return new BadRequestError("Malformed JSON body", { code: "MALFORMED_JSON" })
+  }
+
+  // Other client errors from the body parser (payload too large, bad charset...)
+  if (err.expose && err.status < 500) {
+    return new AppError(err.message, { statusCode: err.status, code: "BAD_REQUEST" })
   }
 
   // JWT errors
   if (err.name === "JsonWebTokenError") {
-    return res.status(401).json({
-      success: false,
-      message: "Invalid token",
-    })
+    return new UnauthorizedError("Invalid token", { code: "TOKEN_INVALID" })
   }
 
   if (err.name === "TokenExpiredError") {
-    return res.status(401).json({
-      success: false,
-      message: "Token expired",
-    })
+    return new UnauthorizedError("Token expired", { code: "TOKEN_EXPIRED" })
   }
 
-  // Default error
-  res.status(err.statusCode || 500).json({
+  return err
+}
+
+// Every error response has the same shape:
+//   { success: false, code, message, requestId, errors?, details? }
+export const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err)
+  const known = error instanceof AppError
+  const statusCode = known ? error.statusCode : 500
+
+  if (statusCode >= 500) {
+    logger.error("unhandled error", { err, method: req.method, path: req.originalUrl })
+  }
+
+  // Never leak internals of unexpected errors in production
+  const hideMessage = statusCode >= 500 && config.isProduction
+
+  res.status(statusCode).json({
     success: false,
-    message: err.message || "Internal Server Error",
+    code: known && !hideMessage ? error.code : "INTERNAL_ERROR",
+    message: hideMessage ? "Internal Server Error" : error.message || "Internal Server Error",
+    requestId: req.id,
+    ...(error.errors && { errors: error.errors }),
+    ...(known && error.details && { details: error.details }),
   })
 }
+
+// Catch-all for requests that matched no route
+export const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, { code: "ROUTE_NOT_FOUND" }))
+}
@@ -0,0 +1,129 @@
+import { config } from "../config/index.js"
+import { TooManyRequestsError } from "../utils/errors.js"
+import { getRateLimitStore } from "../utils/rateLimitStore.js"
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+// Limits per route group. Each can be tuned with
+// RATE_LIMIT_<GROUP>_MAX and RATE_LIMIT_<GROUP>_WINDOW_MS, e.g. RATE_LIMIT_AUTH_MAX=50
+const DEFAULT_LIMITS = {
+  api: { windowMs: MINUTE, max: 300, keyBy: "ip" },
+  auth: { windowMs: 15 * MINUTE, max: 30, keyBy: "ip" },
+  gigCreate: { windowMs: HOUR, max: 20, keyBy: "user" },
+  bidCreate: { windowMs: HOUR, max: 60, keyBy: "user" },
+  message: { windowMs: MINUTE, max: 30, keyBy: "user" },
+  upload: { windowMs: HOUR, max: 100, keyBy: "user" },
+}
+
+const envKey = (group) => group.replace(/[A-Z]/g, (char) => `_${char}`).toUpperCase()
+
+const resolveLimit = (group) => {
+  const base = DEFAULT_LIMITS[group]
+  const override = config.rateLimits[envKey(group)] || {}
+  return {
+    ...base,
+    max: override.max || base.max,
+    windowMs: override.windowMs || base.windowMs,
+  }
+}
+
+const secondsUntil = (timestamp) => Math.max(Math.ceil((timestamp - Date.now()) / 1000), 0)
+
+const tooManyRequests = (res, resetAt, message, code) => {
+  res.set("Retry-After", String(secondsUntil(resetAt)))
+  return new TooManyRequestsError(message, { code })
+}
+
+// Fixed-window limiter for a route group. "user" groups must run after
+// `protect`; they fall back to the client IP for anonymous requests.
+export const rateLimit = (group) => {
+  const { windowMs, max, keyBy } = resolveLimit(group)
+
+  return async (req, res, next) => {
+    try {
+      const subject = keyBy === "user" && req.user ? `user:${req.user._id}` : `ip:${req.ip}`
+      const { count, resetAt } = await getRateLimitStore().increment(`rl:${group}:${subject}`, windowMs)
+
+      res.set({
+        "RateLimit-Limit": String(max),
+        "RateLimit-Remaining": String(Math.max(max - count, 0)),
+        "RateLimit-Reset": String(secondsUntil(resetAt)),
+      })
+
+      if (count > max) {
+        return next(tooManyRequests(res, resetAt, "Too many requests, please try again later"))
+      }
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+/* =========================
+   LOGIN LOCKOUT
+========================= */
+
+// Failures are counted per account and per IP over this window
+const FAILURE_WINDOW_MS = 15 * MINUTE
+
+// Lock after this many failures; every further failure doubles the lock
+const ACCOUNT_FAILURE_THRESHOLD = 5
+const IP_FAILURE_THRESHOLD = 20
+const BASE_LOCK_MS = MINUTE
+const MAX_LOCK_MS = HOUR
+
+const loginSubjects = (req) => {
+  const subjects = [{ key: `ip:${req.ip}`, threshold: IP_FAILURE_THRESHOLD }]
+  const email = typeof req.body?.email === "string" ? req.body.email.toLowerCase().trim() : ""
+  if (email) subjects.push({ key: `account:${email}`, threshold: ACCOUNT_FAILURE_THRESHOLD })
+  return subjects
+}
+
+// Reject login attempts while the account or IP is locked out
+export const loginLockout = async (req, res, next) => {
+  try {
+    const store = getRateLimitStore()
+
+    for (const { key } of loginSubjects(req)) {
+      const lock = await store.get(`login-lock:${key}`)
+      if (lock) {
+        return next(
+          tooManyRequests(
+            res,
+            lock.resetAt,
+            `Too many failed login attempts, try again in ${secondsUntil(lock.resetAt)} seconds`,
+            "LOGIN_LOCKED",
+          ),
+        )
+      }
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Count a failed login, locking the account/IP progressively longer
+export const recordLoginFailure = async (req) => {
+  const store = getRateLimitStore()
+
+  for (const { key, threshold } of loginSubjects(req)) {
+    const { count } = await store.increment(`login-fail:${key}`, FAILURE_WINDOW_MS)
+
+    if (count >= threshold) {
+      const lockMs = Math.min(BASE_LOCK_MS * 2 ** (count - threshold), MAX_LOCK_MS)
+      await store.set(`login-lock:${key}`, { count, resetAt: Date.now() + lockMs })
+    }
+  }
+}
+
+// A successful login clears the account's failures (the IP keeps its count)
+export const clearLoginFailures = async (req) => {
+  const store = getRateLimitStore()
+  const account = loginSubjects(req).find(({ key }) => key.startsWith("account:"))
+  if (account) await store.delete(`login-fail:${account.key}`)
+}
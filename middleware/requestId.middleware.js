@@ -0,0 +1,22 @@
+import { randomUUID } from "crypto"
+import { runWithContext } from "../utils/logger.js"
+
+// Ids we accept from an upstream proxy; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+// Whether the peer we're talking to is a proxy TRUST_PROXY lets us believe,
+// judged the same way Express does for req.ip
+const fromTrustedProxy = (req) => req.app.get("trust proxy fn")(req.socket.remoteAddress, 0)
+
+// Tag every request with an id, reusing X-Request-Id when it comes from a
+// trusted proxy and looks sane. Clients connecting directly always get a
+// fresh id, so they can't choose (or collide with) the ids in our logs. The
+// id is echoed back in the X-Request-Id response header and in every error
+// body so reports can be matched to logs, and the rest of the request runs in
+// a log context that stamps it on every line.
+export const requestId = (req, res, next) => {
+  const incoming = fromTrustedProxy(req) && req.get("X-Request-Id")
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID()
+  res.set("X-Request-Id", req.id)
+  runWithContext({ requestId: req.id }, next)
+}
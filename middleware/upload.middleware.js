@@ -0,0 +1,55 @@
+import multer from "multer"
+import { config } from "../config/index.js"
+import { ALLOWED_MIME_TYPES, MAX_FILES_PER_UPLOAD } from "../services/attachment.service.js"
+import { AppError, BadRequestError } from "../utils/errors.js"
+
+// Files are held in memory just long enough to hand them to the storage driver
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.uploads.maxFileBytes, files: MAX_FILES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES[file.mimetype]) return cb(null, true)
+
+    cb(
+      new AppError(`Files of type ${file.mimetype} are not allowed`, {
+        statusCode: 415,
+        code: "UNSUPPORTED_FILE_TYPE",
+        details: { allowed: Object.keys(ALLOWED_MIME_TYPES) },
+      }),
+    )
+  },
+})
+
+const fromMulterError = (err) => {
+  if (err.code === "LIMIT_FILE_SIZE") {
+    return new AppError(`Files cannot be larger than ${config.uploads.maxFileBytes} bytes`, {
+      statusCode: 413,
+      code: "FILE_TOO_LARGE",
+      details: { maxFileBytes: config.uploads.maxFileBytes },
+    })
+  }
+
+  if (err.code === "LIMIT_FILE_COUNT") {
+    return new BadRequestError(`You can upload at most ${MAX_FILES_PER_UPLOAD} files at once`, {
+      code: "TOO_MANY_FILES",
+    })
+  }
+
+  return new BadRequestError(err.message, { code: "UPLOAD_INVALID" })
+}
+
+// Parse a multipart upload of up to MAX_FILES_PER_UPLOAD files sent as
+// `field` into `req.files`. Requests without any file are rejected.
+export const uploadFiles =
+  (field = "files") =>
+  (req, res, next) => {
+    upload.array(field)(req, res, (err) => {
+      if (err) return next(err instanceof multer.MulterError ? fromMulterError(err) : err)
+
+      if (!req.files?.length) {
+        return next(new BadRequestError(`Attach at least one file as "${field}"`, { code: "NO_FILES" }))
+      }
+
+      next()
+    })
+  }
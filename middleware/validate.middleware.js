@@ -0,0 +1,165 @@
+import { checkSchema, matchedData, validationResult } from "express-validator"
+import { MAX_MILESTONES } from "../services/contract.service.js"
+import { ValidationError } from "../utils/errors.js"
+import { MAX_PAGE_SIZE } from "../utils/pagination.js"
+
+// Run an express-validator schema for a route. Invalid requests are passed
+// to the error handler with field-level errors: 400 when only URL ids are
+// malformed, 422 for anything else. Valid requests get `req.body` replaced
+// with just the fields the schema declares.
+export const validate = (schema) => [
+  checkSchema(schema),
+  (req, res, next) => {
+    const result = validationResult(req)
+
+    if (!result.isEmpty()) {
+      const errors = result
+        .array({ onlyFirstError: true })
+        .map(({ path, location, msg }) => ({ field: path, location, message: msg }))
+
+      const onlyParams = errors.every(({ location }) => location === "params")
+      return next(new ValidationError(errors, { statusCode: onlyParams ? 400 : 422 }))
+    }
+
+    // includeOptionals keeps explicit nulls (used to clear a field); fields
+    // the client left out are dropped again so updates stay partial
+    const body = matchedData(req, { locations: ["body"], includeOptionals: true })
+    req.body = Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined))
+    next()
+  },
+]
+
+/* =========================
+   SHARED SCHEMA FRAGMENTS
+========================= */
+
+// Nullable fields accept null (to clear them) as well as being left out
+const optionality = ({ optional, nullable }) =>
+  (optional || nullable) && { optional: nullable ? { options: { values: "null" } } : true }
+
+// Route parameter that must be an ObjectId
+export const idParam = (name = "id") => ({
+  [name]: {
+    in: ["params"],
+    isMongoId: { errorMessage: `Invalid ${name}` },
+  },
+})
+
+// ObjectId field in the body; `nullable` also accepts null to clear it
+export const idField = (label, { optional = false, nullable = false } = {}) => ({
+  in: ["body"],
+  ...optionality({ optional, nullable }),
+  isMongoId: { errorMessage: `${label} must be a valid id` },
+})
+
+// Trimmed string in the body with length bounds; `nullable` also accepts null
+export const textField = (label, { min = 1, max, optional = false, nullable = false } = {}) => ({
+  in: ["body"],
+  ...optionality({ optional, nullable }),
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  trim: true,
+  isLength: {
+    options: { min, max },
+    errorMessage:
+      max === undefined
+        ? `${label} must be at least ${min} characters`
+        : `${label} must be between ${min} and ${max} characters`,
+  },
+})
+
+// Number in the body with bounds, converted to a Number; `nullable` also accepts null
+export const numberField = (label, { min, max, optional = false, nullable = false } = {}) => ({
+  in: ["body"],
+  ...optionality({ optional, nullable }),
+  isFloat: {
+    options: { min, max },
+    errorMessage:
+      max === undefined ? `${label} must be a number of at least ${min}` : `${label} must be between ${min} and ${max}`,
+  },
+  toFloat: true,
+})
+
+// ISO 8601 date in the body that must lie in the future, converted to a Date;
+// `nullable` also accepts null to clear it
+export const futureDateField = (label, { optional = false, nullable = false } = {}) => ({
+  in: ["body"],
+  ...optionality({ optional, nullable }),
+  isISO8601: { errorMessage: `${label} must be an ISO 8601 date`, bail: true },
+  custom: {
+    options: (value) => new Date(value) > new Date(),
+    errorMessage: `${label} must be in the future`,
+  },
+  toDate: true,
+})
+
+// Optional free-text note, e.g. on lifecycle transitions
+export const noteField = {
+  note: textField("Note", { max: 500, optional: true }),
+}
+
+// Array of ObjectIds in the body
+export const idListField = (name, label, { max, optional = true } = {}) => ({
+  [name]: {
+    in: ["body"],
+    ...(optional && { optional: true }),
+    isArray: { options: { max }, errorMessage: `${label} must be a list of at most ${max} ids` },
+  },
+  [`${name}.*`]: {
+    in: ["body"],
+    isMongoId: { errorMessage: `${label} must be a list of valid ids` },
+  },
+})
+
+// ?limit= and ?cursor= for cursor-paginated listings
+export const paginationQuery = {
+  cursor: {
+    in: ["query"],
+    optional: true,
+    isString: { errorMessage: "Invalid cursor" },
+  },
+  limit: {
+    in: ["query"],
+    optional: true,
+    isInt: { options: { min: 1, max: MAX_PAGE_SIZE }, errorMessage: `limit must be between 1 and ${MAX_PAGE_SIZE}` },
+  },
+}
+
+// Same as paginationQuery for listings whose cursor is a document id
+export const idCursorQuery = {
+  ...paginationQuery,
+  cursor: {
+    in: ["query"],
+    optional: true,
+    isMongoId: { errorMessage: "Invalid cursor" },
+  },
+}
+
+export const oneOfQuery = (label, values) => ({
+  in: ["query"],
+  optional: true,
+  isIn: { options: [values], errorMessage: `${label} must be one of ${values.join(", ")}` },
+})
+
+// Milestone plan: [{ title, amount, dueDate? }]. The total is checked
+// against the agreed price by the contract service.
+export const milestonesField = ({ optional = false } = {}) => ({
+  milestones: {
+    in: ["body"],
+    ...(optional && { optional: true }),
+    isArray: {
+      options: { min: 1, max: MAX_MILESTONES },
+      errorMessage: `Milestones must be a list of 1 to ${MAX_MILESTONES} milestones`,
+    },
+  },
+  "milestones.*.title": textField("Milestone title", { min: 3, max: 100 }),
+  "milestones.*.amount": {
+    in: ["body"],
+    isFloat: { options: { min: 1 }, errorMessage: "Milestone amount must be at least 1" },
+    toFloat: true,
+  },
+  "milestones.*.dueDate": {
+    in: ["body"],
+    optional: { options: { values: "null" } },
+    isISO8601: { errorMessage: "Milestone due date must be a valid date" },
+  },
+})
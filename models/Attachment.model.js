@@ -0,0 +1,81 @@
+import mongoose from "mongoose"
+
+// What a file is attached to:
+//   gig          the brief, uploaded by the gig owner
+//   bid          a proposal, uploaded by the bidding freelancer
+//   deliverable  work for a contract milestone, uploaded by the hired freelancer
+export const ATTACHMENT_KINDS = ["gig", "bid", "deliverable"]
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ATTACHMENT_KINDS,
+      required: true,
+    },
+    // Every attachment belongs to a gig, so deleting the gig can clean up all of them
+    gigId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gig",
+      required: true,
+      index: true,
+    },
+    bidId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bid",
+      default: null,
+      index: true,
+    },
+    contractId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contract",
+      default: null,
+      index: true,
+    },
+    milestoneId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [255, "File name cannot exceed 255 characters"],
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Location in the storage driver, never sent to clients
+    storageKey: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Freshly created documents still carry the storage key
+attachmentSchema.methods.toJSON = function () {
+  const obj = this.toObject()
+  delete obj.storageKey
+  return obj
+}
+
+const Attachment = mongoose.model("Attachment", attachmentSchema)
+
+export default Attachment
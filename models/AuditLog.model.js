@@ -0,0 +1,56 @@
+import mongoose from "mongoose"
+
+// Append-only trail of admin actions
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    action: {
+      type: String,
+      enum: [
+        "user.suspend",
+        "user.unsuspend",
+        "user.roles",
+        "gig.hide",
+        "gig.unhide",
+        "gig.delete",
+        "bid.view",
+      ],
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["User", "Gig", "Bid"],
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema)
+
+export default AuditLog
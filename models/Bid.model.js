@@ -1,4 +1,55 @@
 import mongoose from "mongoose"
+import { BID_HISTORY_ACTIONS, BID_STATUSES } from "../utils/bidLifecycle.js"
+
+const historyEntrySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: BID_HISTORY_ACTIONS,
+      required: true,
+    },
+    // Null when the system made the change (e.g. expiry)
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    price: Number,
+    message: String,
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+// A price proposed by the gig owner, waiting for the freelancer's answer
+const counterOfferSchema = new mongoose.Schema(
+  {
+    price: {
+      type: Number,
+      required: true,
+      min: [1, "Counter-offer must be at least $1"],
+      max: [1000000, "Counter-offer cannot exceed $1,000,000"],
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
 
 const bidSchema = new mongoose.Schema(
   {
@@ -29,16 +80,40 @@ const bidSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "hired", "rejected"],
+      enum: BID_STATUSES,
       default: "pending",
       index: true,
     },
+    // Optional end of the bid's validity; open bids past it expire
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+    counterOffer: {
+      type: counterOfferSchema,
+      default: null,
+    },
+    // Every submission, revision and owner decision, oldest first. Only
+    // loaded for GET /api/bids/:bidId/history.
+    history: {
+      type: [historyEntrySchema],
+      default: [],
+      select: false,
+    },
+    // Snapshot of the freelancer's average rating, refreshed with their reputation
+    freelancerRating: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
   },
 )
 
+// Index for the expiry sweep
+bidSchema.index({ status: 1, validUntil: 1 })
+
 // Compound index to prevent duplicate bids
 bidSchema.index({ gigId: 1, freelancerId: 1 }, { unique: true })
 
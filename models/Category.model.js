@@ -0,0 +1,37 @@
+import mongoose from "mongoose"
+import { slugify } from "../utils/slugify.js"
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+      unique: true,
+      minlength: [2, "Category name must be at least 2 characters"],
+      maxlength: [50, "Category name cannot exceed 50 characters"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Description cannot exceed 300 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+categorySchema.pre("validate", function (next) {
+  if (this.isModified("name")) this.slug = slugify(this.name)
+  next()
+})
+
+const Category = mongoose.model("Category", categorySchema)
+
+export default Category
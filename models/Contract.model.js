@@ -0,0 +1,95 @@
+import mongoose from "mongoose"
+
+export const MILESTONE_STATUSES = ["pending", "funded", "submitted", "changes_requested", "released", "refunded"]
+
+const milestoneSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Milestone title is required"],
+      trim: true,
+      minlength: [3, "Milestone title must be at least 3 characters"],
+      maxlength: [100, "Milestone title cannot exceed 100 characters"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Milestone amount is required"],
+      min: [1, "Milestone amount must be at least $1"],
+    },
+    dueDate: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: MILESTONE_STATUSES,
+      default: "pending",
+    },
+    submissionNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Submission note cannot exceed 1000 characters"],
+    },
+    feedback: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Feedback cannot exceed 1000 characters"],
+    },
+    fundedAt: Date,
+    submittedAt: Date,
+    releasedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const contractSchema = new mongoose.Schema(
+  {
+    gigId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gig",
+      required: true,
+      unique: true,
+    },
+    bidId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bid",
+      required: true,
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    freelancerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, "Contract amount must be at least $1"],
+    },
+    status: {
+      type: String,
+      enum: ["active", "completed", "cancelled"],
+      default: "active",
+      index: true,
+    },
+    milestones: {
+      type: [milestoneSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const Contract = mongoose.model("Contract", contractSchema)
+
+export default Contract
@@ -0,0 +1,66 @@
+import mongoose from "mongoose"
+import { isSameUser } from "../middleware/authorize.middleware.js"
+
+const conversationSchema = new mongoose.Schema(
+  {
+    gigId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gig",
+      required: true,
+    },
+    // One thread per bid, between the gig owner and that bid's freelancer
+    bidId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bid",
+      required: true,
+      unique: true,
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    freelancerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: null,
+    },
+    lastMessagePreview: {
+      type: String,
+      default: "",
+    },
+    ownerLastReadAt: {
+      type: Date,
+      default: null,
+    },
+    freelancerLastReadAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Returns "owner", "freelancer" or null for the given user
+conversationSchema.methods.roleOf = function (userId) {
+  if (isSameUser(this.ownerId, userId)) return "owner"
+  if (isSameUser(this.freelancerId, userId)) return "freelancer"
+  return null
+}
+
+// The other participant's user id
+conversationSchema.methods.otherParticipant = function (userId) {
+  return this.roleOf(userId) === "owner" ? this.freelancerId : this.ownerId
+}
+
+const Conversation = mongoose.model("Conversation", conversationSchema)
+
+export default Conversation
@@ -1,4 +1,36 @@
 import mongoose from "mongoose"
+import { GIG_STATUSES } from "../utils/gigLifecycle.js"
+
+// Who can find and bid on a gig:
+//   public       listed and searchable, anyone can bid
+//   unlisted     left out of listings, anyone with the link can view and bid
+//   invite_only  only the owner and invited users can view it or bid
+export const GIG_VISIBILITIES = ["public", "unlisted", "invite_only"]
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: GIG_STATUSES,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
 
 const gigSchema = new mongoose.Schema(
   {
@@ -22,6 +54,21 @@ const gigSchema = new mongoose.Schema(
       min: [1, "Budget must be at least $1"],
       max: [1000000, "Budget cannot exceed $1,000,000"],
     },
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+    skills: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Skill" }],
+      default: [],
+      index: true,
+      validate: {
+        validator: (skills) => skills.length <= 15,
+        message: "A gig cannot require more than 15 skills",
+      },
+    },
     ownerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -30,21 +77,78 @@ const gigSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["open", "assigned"],
+      enum: GIG_STATUSES,
       default: "open",
       index: true,
     },
+    visibility: {
+      type: String,
+      enum: GIG_VISIBILITIES,
+      default: "public",
+    },
     hiredBidId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Bid",
       default: null,
     },
+    // Optional deadlines, enforced by the jobs in jobs/index.js. New bids are
+    // refused once biddingDeadline passes; the gig stays open for hiring.
+    biddingDeadline: {
+      type: Date,
+      default: null,
+    },
+    biddingClosedAt: {
+      type: Date,
+      default: null,
+    },
+    deliveryDueDate: {
+      type: Date,
+      default: null,
+    },
+    // Set when an assigned gig passes its delivery due date
+    overdueAt: {
+      type: Date,
+      default: null,
+    },
+    // Last reminder to the owner about bids waiting for review
+    bidReminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    // Set by moderators to take a gig out of every listing
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    // Number of bids, kept in step by the bid controller for sorting
+    bidCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
   },
   {
     timestamps: true,
   },
 )
 
+// Indexes backing the listing sorts
+gigSchema.index({ status: 1, createdAt: -1, _id: -1 })
+gigSchema.index({ status: 1, budget: -1, _id: -1 })
+gigSchema.index({ status: 1, bidCount: -1, _id: -1 })
+
+// Index for the overdue sweep
+gigSchema.index({ status: 1, deliveryDueDate: 1 })
+
 // Index for searching
 gigSchema.index({ title: "text", description: "text" })
 
@@ -0,0 +1,64 @@
+import mongoose from "mongoose"
+
+// pending until the invitee bids on the gig
+export const INVITATION_STATUSES = ["pending", "accepted"]
+
+// A gig owner's invitation to bid, addressed either to a user account or to
+// an email address. Email invitations are matched against the verified
+// email of whoever signs up with it, and never reveal whether an account
+// already exists.
+const invitationSchema = new mongoose.Schema(
+  {
+    gigId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gig",
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+      index: true,
+      required: [
+        function () {
+          return !this.userId
+        },
+        "An invitation needs a user or an email",
+      ],
+    },
+    status: {
+      type: String,
+      enum: INVITATION_STATUSES,
+      default: "pending",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// One invitation per user or address per gig
+invitationSchema.index(
+  { gigId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $type: "objectId" } } },
+)
+invitationSchema.index(
+  { gigId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { email: { $type: "string" } } },
+)
+
+const Invitation = mongoose.model("Invitation", invitationSchema)
+
+export default Invitation
@@ -0,0 +1,76 @@
+import mongoose from "mongoose"
+
+export const JOB_STATUSES = ["scheduled", "running", "failed"]
+
+// A unit of background work run by utils/scheduler.js. Jobs live in the
+// database so nothing is lost when the process restarts, and are claimed
+// atomically so several instances can share the queue.
+const jobSchema = new mongoose.Schema(
+  {
+    // Handler to run, see jobs/index.js
+    name: {
+      type: String,
+      required: true,
+    },
+    // Identifies the job for rescheduling or cancelling, e.g. "gig.closeBidding:<gigId>".
+    // At most one job exists per key.
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "scheduled",
+    },
+    runAt: {
+      type: Date,
+      required: true,
+    },
+    // Recurring jobs are rescheduled this long after each run
+    intervalMs: {
+      type: Number,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    // A running job whose lock has expired is assumed to have died with its process
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Claiming due jobs
+jobSchema.index({ status: 1, runAt: 1 })
+
+const Job = mongoose.model("Job", jobSchema)
+
+export default Job
@@ -0,0 +1,90 @@
+import mongoose from "mongoose"
+
+export const LEDGER_ACCOUNTS = ["external", "escrow", "earnings"]
+
+// A single debit or credit line. All amounts are stored in integer cents.
+const entrySchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: LEDGER_ACCOUNTS,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false },
+)
+
+const ledgerTransactionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["fund", "release", "refund"],
+      required: true,
+    },
+    contractId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contract",
+      required: true,
+      index: true,
+    },
+    milestoneId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    memo: {
+      type: String,
+      trim: true,
+    },
+    entries: {
+      type: [entrySchema],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+ledgerTransactionSchema.index({ "entries.userId": 1, createdAt: -1 })
+
+// Every transaction must balance: total debits equal total credits
+ledgerTransactionSchema.pre("validate", function (next) {
+  let debits = 0
+  let credits = 0
+
+  for (const entry of this.entries) {
+    if (!Number.isInteger(entry.debit) || !Number.isInteger(entry.credit)) {
+      return next(new Error("Ledger amounts must be integer cents"))
+    }
+    if ((entry.debit > 0) === (entry.credit > 0)) {
+      return next(new Error("Each ledger entry must be either a debit or a credit"))
+    }
+    debits += entry.debit
+    credits += entry.credit
+  }
+
+  if (this.entries.length < 2 || debits !== credits) {
+    return next(new Error("Ledger transaction is unbalanced"))
+  }
+
+  next()
+})
+
+const LedgerTransaction = mongoose.model("LedgerTransaction", ledgerTransactionSchema)
+
+export default LedgerTransaction
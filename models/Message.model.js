@@ -0,0 +1,36 @@
+import mongoose from "mongoose"
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    body: {
+      type: String,
+      required: [true, "Message cannot be empty"],
+      trim: true,
+      maxlength: [2000, "Message cannot exceed 2000 characters"],
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// History is paged newest-first by _id
+messageSchema.index({ conversationId: 1, _id: -1 })
+
+const Message = mongoose.model("Message", messageSchema)
+
+export default Message
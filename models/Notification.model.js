@@ -0,0 +1,67 @@
+import mongoose from "mongoose"
+
+export const NOTIFICATION_TYPES = [
+  "bid_received",
+  "bid_hired",
+  "bid_rejected",
+  "bid_updated",
+  "bid_shortlisted",
+  "bid_declined",
+  "bid_countered",
+  "bid_counter_accepted",
+  "bid_expired",
+  "bids_awaiting_review",
+  "bidding_closed",
+  "gig_updated",
+  "gig_deleted",
+  "gig_status_changed",
+  "gig_overdue",
+  "gig_invitation",
+  "message_received",
+  "saved_search_match",
+  "saved_search_digest",
+]
+
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Ids the client needs to link to the related gig, bid, conversation...
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+notificationSchema.index({ userId: 1, _id: -1 })
+notificationSchema.index({ userId: 1, readAt: 1 })
+
+const Notification = mongoose.model("Notification", notificationSchema)
+
+export default Notification
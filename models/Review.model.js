@@ -0,0 +1,60 @@
+import mongoose from "mongoose"
+
+const reviewSchema = new mongoose.Schema(
+  {
+    contractId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contract",
+      required: true,
+    },
+    gigId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gig",
+      required: true,
+    },
+    reviewerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    revieweeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Role of the reviewer on the contract
+    reviewerRole: {
+      type: String,
+      enum: ["owner", "freelancer"],
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, "Rating is required"],
+      min: [1, "Rating must be between 1 and 5"],
+      max: [5, "Rating must be between 1 and 5"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be a whole number",
+      },
+    },
+    comment: {
+      type: String,
+      required: [true, "Review text is required"],
+      trim: true,
+      minlength: [10, "Review must be at least 10 characters"],
+      maxlength: [1000, "Review cannot exceed 1000 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// One review per party per contract
+reviewSchema.index({ contractId: 1, reviewerId: 1 }, { unique: true })
+
+const Review = mongoose.model("Review", reviewSchema)
+
+export default Review
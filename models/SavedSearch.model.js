@@ -0,0 +1,69 @@
+import mongoose from "mongoose"
+
+export const MAX_SAVED_SEARCHES = 20
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [60, "Name cannot exceed 60 characters"],
+    },
+    // Same syntax as GET /api/gigs?search=
+    search: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: [200, "Search cannot exceed 200 characters"],
+    },
+    filters: {
+      categoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+        default: null,
+      },
+      skills: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Skill" }],
+        default: [],
+      },
+      minBudget: {
+        type: Number,
+        default: null,
+      },
+      maxBudget: {
+        type: Number,
+        default: null,
+      },
+    },
+    // Notify as soon as a matching gig is posted
+    alerts: {
+      type: Boolean,
+      default: true,
+    },
+    // Periodic summary of matching gigs
+    digest: {
+      type: String,
+      enum: ["none", "daily", "weekly"],
+      default: "none",
+      index: true,
+    },
+    lastDigestAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const SavedSearch = mongoose.model("SavedSearch", savedSearchSchema)
+
+export default SavedSearch
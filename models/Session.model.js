@@ -0,0 +1,63 @@
+import mongoose from "mongoose"
+
+// One login on one device. The refresh token itself is never stored, only
+// its hash; rotated hashes are kept to detect refresh token reuse.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "user_revoked", "reuse_detected", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Let MongoDB clean up sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+const Session = mongoose.model("Session", sessionSchema)
+
+export default Session
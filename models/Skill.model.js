@@ -0,0 +1,37 @@
+import mongoose from "mongoose"
+import { slugify } from "../utils/slugify.js"
+
+const skillSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Skill name is required"],
+      trim: true,
+      minlength: [1, "Skill name is required"],
+      maxlength: [50, "Skill name cannot exceed 50 characters"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+    },
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+skillSchema.pre("validate", function (next) {
+  if (this.isModified("name")) this.slug = slugify(this.name)
+  next()
+})
+
+const Skill = mongoose.model("Skill", skillSchema)
+
+export default Skill
@@ -1,5 +1,39 @@
 import mongoose from "mongoose"
 import bcrypt from "bcryptjs"
+import { NOTIFICATION_TYPES } from "./Notification.model.js"
+import { ROLES } from "../middleware/authorize.middleware.js"
+
+export const MAX_PORTFOLIO_ITEMS = 10
+
+// True for IANA zone names the runtime knows, e.g. "America/New_York"
+export const isTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+const portfolioItemSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, "Portfolio item title is required"],
+    trim: true,
+    maxlength: [100, "Portfolio item title cannot exceed 100 characters"],
+  },
+  url: {
+    type: String,
+    required: [true, "Portfolio item URL is required"],
+    trim: true,
+    maxlength: [500, "Portfolio item URL cannot exceed 500 characters"],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Portfolio item description cannot exceed 500 characters"],
+  },
+})
 
 const userSchema = new mongoose.Schema(
   {
@@ -24,6 +58,104 @@ const userSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters"],
       select: false, // Don't include password in queries by default
     },
+    roles: {
+      type: [{ type: String, enum: ROLES }],
+      default: ["client", "freelancer"],
+    },
+    suspendedAt: {
+      type: Date,
+      default: null,
+    },
+    suspensionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // Public profile, see services/profile.service.js
+    headline: {
+      type: String,
+      trim: true,
+      maxlength: [120, "Headline cannot exceed 120 characters"],
+      default: null,
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Bio cannot exceed 2000 characters"],
+      default: null,
+    },
+    hourlyRate: {
+      type: Number,
+      min: [1, "Hourly rate must be at least $1"],
+      max: [10000, "Hourly rate cannot exceed $10,000"],
+      default: null,
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Location cannot exceed 100 characters"],
+      default: null,
+    },
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (timezone) => timezone === null || isTimeZone(timezone),
+        message: "Timezone must be an IANA name such as Europe/Berlin",
+      },
+    },
+    avatarUrl: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Avatar URL cannot exceed 500 characters"],
+      default: null,
+    },
+    portfolio: {
+      type: [portfolioItemSchema],
+      default: [],
+      validate: {
+        validator: (items) => items.length <= MAX_PORTFOLIO_ITEMS,
+        message: `A portfolio cannot have more than ${MAX_PORTFOLIO_ITEMS} items`,
+      },
+    },
+    skills: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Skill" }],
+      default: [],
+      validate: {
+        validator: (skills) => skills.length <= 30,
+        message: "You cannot declare more than 30 skills",
+      },
+    },
+    // Aggregated from reviews and gig outcomes, see services/reputation.service.js
+    reputation: {
+      average: { type: Number, default: 0 },
+      count: { type: Number, default: 0 },
+      completedGigs: { type: Number, default: 0 },
+      cancelledGigs: { type: Number, default: 0 },
+      completionRate: { type: Number, default: null },
+    },
+    // Notification type -> enabled. Types missing from the map are enabled.
+    notificationPreferences: {
+      type: Map,
+      of: Boolean,
+      default: {},
+      validate: {
+        validator: (prefs) => [...prefs.keys()].every((type) => NOTIFICATION_TYPES.includes(type)),
+        message: "Unknown notification type in preferences",
+      },
+    },
   },
   {
     timestamps: true,
@@ -36,6 +168,7 @@ userSchema.pre("save", async function (next) {
 
   const salt = await bcrypt.genSalt(10)
   this.password = await bcrypt.hash(this.password, salt)
+  if (!this.isNew) this.passwordChangedAt = new Date()
   next()
 })
 
@@ -0,0 +1,40 @@
+import mongoose from "mongoose"
+
+// Single-use record behind a signed email verification or password reset token
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["verify_email", "reset_password"],
+      required: true,
+    },
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const UserToken = mongoose.model("UserToken", userTokenSchema)
+
+export default UserToken
@@ -0,0 +1,61 @@
+import express from "express"
+import {
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  setUserRoles,
+  hideGig,
+  unhideGig,
+  removeGig,
+  getAnyBid,
+  getAuditLog,
+} from "../controllers/admin.controller.js"
+import { protect } from "../middleware/auth.middleware.js"
+import { authorize, ROLES } from "../middleware/authorize.middleware.js"
+import { validate, idParam, textField, paginationQuery, oneOfQuery } from "../middleware/validate.middleware.js"
+
+const router = express.Router()
+
+// Validation schemas
+const listUsersSchema = {
+  search: { in: ["query"], optional: true, isString: true, isLength: { options: { max: 100 } } },
+  role: oneOfQuery("role", ROLES),
+  suspended: { in: ["query"], optional: true, isBoolean: { errorMessage: "suspended must be true or false" } },
+  ...paginationQuery,
+}
+
+const auditLogSchema = {
+  actor: { in: ["query"], optional: true, isMongoId: { errorMessage: "actor must be a valid id" } },
+  targetId: { in: ["query"], optional: true, isMongoId: { errorMessage: "targetId must be a valid id" } },
+  action: { in: ["query"], optional: true, isString: true },
+  ...paginationQuery,
+}
+
+const withReason = validate({ ...idParam(), reason: textField("Reason", { max: 500, optional: true }) })
+
+const rolesSchema = {
+  ...idParam(),
+  roles: {
+    in: ["body"],
+    isArray: { options: { min: 1 }, errorMessage: `roles must be a non-empty list of ${ROLES.join(", ")}` },
+  },
+  "roles.*": {
+    in: ["body"],
+    isIn: { options: [ROLES], errorMessage: `roles must be a non-empty list of ${ROLES.join(", ")}` },
+  },
+}
+
+// Every admin route requires an authenticated admin
+router.use(protect, authorize("admin"))
+
+router.get("/users", validate(listUsersSchema), listUsers)
+router.patch("/users/:id/suspend", withReason, suspendUser)
+router.patch("/users/:id/unsuspend", withReason, unsuspendUser)
+router.put("/users/:id/roles", validate(rolesSchema), setUserRoles)
+router.patch("/gigs/:id/hide", withReason, hideGig)
+router.patch("/gigs/:id/unhide", withReason, unhideGig)
+router.delete("/gigs/:id", withReason, removeGig)
+router.get("/bids/:id", validate(idParam()), getAnyBid)
+router.get("/audit", validate(auditLogSchema), getAuditLog)
+
+export default router
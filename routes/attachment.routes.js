@@ -0,0 +1,13 @@
+import express from "express"
+import { deleteAttachment, downloadAttachment } from "../controllers/attachment.controller.js"
+import { optionalAuth, protect } from "../middleware/auth.middleware.js"
+import { validate, idParam } from "../middleware/validate.middleware.js"
+
+// Uploads live under the gig, bid and contract routes; files are fetched and
+// removed here by attachment id
+const router = express.Router()
+
+router.get("/:id", optionalAuth, validate(idParam()), downloadAttachment)
+router.delete("/:id", protect, validate(idParam()), deleteAttachment)
+
+export default router
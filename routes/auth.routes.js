@@ -1,12 +1,101 @@
 import express from "express"
-import { register, login, logout, getMe } from "../controllers/auth.controller.js"
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  getMe,
+  getSessions,
+  revokeSessionById,
+  revokeAllSessionsForUser,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+} from "../controllers/auth.controller.js"
 import { protect } from "../middleware/auth.middleware.js"
+import { rateLimit, loginLockout } from "../middleware/rateLimit.middleware.js"
+import { validate, idParam, textField } from "../middleware/validate.middleware.js"
 
 const router = express.Router()
 
-router.post("/register", register)
-router.post("/login", login)
+// Unauthenticated endpoints share a per-IP budget
+const authLimit = rateLimit("auth")
+
+// Validation schemas
+const emailField = {
+  in: ["body"],
+  isString: { errorMessage: "Please provide a valid email", bail: true },
+  trim: true,
+  isEmail: { errorMessage: "Please provide a valid email" },
+  toLowerCase: true,
+}
+
+const passwordField = (label) => ({
+  in: ["body"],
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  isLength: { options: { min: 6, max: 128 }, errorMessage: `${label} must be between 6 and 128 characters` },
+})
+
+const tokenField = {
+  in: ["body"],
+  isString: { errorMessage: "Token is required", bail: true },
+  notEmpty: { errorMessage: "Token is required" },
+}
+
+const registerSchema = {
+  name: textField("Name", { min: 2, max: 50 }),
+  email: emailField,
+  password: passwordField("Password"),
+  roles: {
+    in: ["body"],
+    optional: true,
+    isArray: { options: { min: 1 }, errorMessage: "roles must be a non-empty list of client, freelancer" },
+  },
+  "roles.*": {
+    in: ["body"],
+    isIn: { options: [["client", "freelancer"]], errorMessage: "roles must be a non-empty list of client, freelancer" },
+  },
+}
+
+const loginSchema = {
+  email: emailField,
+  password: { in: ["body"], isString: { errorMessage: "Password is required", bail: true }, notEmpty: true },
+}
+
+router.post("/register", authLimit, validate(registerSchema), register)
+router.post("/login", authLimit, validate(loginSchema), loginLockout, login)
+router.post("/refresh", authLimit, refresh)
 router.post("/logout", protect, logout)
 router.get("/me", protect, getMe)
+router.get("/sessions", protect, getSessions)
+router.delete(
+  "/sessions",
+  protect,
+  validate({
+    keepCurrent: { in: ["query"], optional: true, isBoolean: { errorMessage: "keepCurrent must be true or false" } },
+  }),
+  revokeAllSessionsForUser,
+)
+router.delete("/sessions/:sessionId", protect, validate(idParam("sessionId")), revokeSessionById)
+router.post("/verify-email", authLimit, validate({ token: tokenField }), verifyEmail)
+router.post("/resend-verification", protect, resendVerification)
+router.post("/forgot-password", authLimit, validate({ email: emailField }), forgotPassword)
+router.post(
+  "/reset-password",
+  authLimit,
+  validate({ token: tokenField, password: passwordField("Password") }),
+  resetPassword,
+)
+router.put(
+  "/password",
+  protect,
+  validate({
+    currentPassword: { in: ["body"], isString: true, notEmpty: true },
+    newPassword: passwordField("New password"),
+  }),
+  changePassword,
+)
 
 export default router
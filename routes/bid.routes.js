@@ -1,14 +1,122 @@
 import express from "express"
-import { createBid, getBidsForGig, getMyBids, hireBid, updateBid, deleteBid } from "../controllers/bid.controller.js"
-import { protect } from "../middleware/auth.middleware.js"
+import {
+  BID_SORTS,
+  createBid,
+  getBidsForGig,
+  getMyBids,
+  hireBid,
+  updateBid,
+  deleteBid,
+  shortlistBid,
+  declineBid,
+  counterBid,
+  acceptCounterOffer,
+  getBidHistory,
+} from "../controllers/bid.controller.js"
+import { getBidAttachments, uploadBidAttachments } from "../controllers/attachment.controller.js"
+import { protect, requireVerified } from "../middleware/auth.middleware.js"
+import { authorize, requireOwnership } from "../middleware/authorize.middleware.js"
+import { rateLimit } from "../middleware/rateLimit.middleware.js"
+import { uploadFiles } from "../middleware/upload.middleware.js"
+import {
+  validate,
+  idParam,
+  idField,
+  textField,
+  numberField,
+  noteField,
+  milestonesField,
+  paginationQuery,
+  oneOfQuery,
+} from "../middleware/validate.middleware.js"
+import Bid from "../models/Bid.model.js"
+import Gig from "../models/Gig.model.js"
+import { BID_STATUSES } from "../utils/bidLifecycle.js"
+
+const ownBid = (action) => requireOwnership({ model: Bid, param: "bidId", field: "freelancerId", as: "bid", action })
+
+// Validation schemas
+const bidBodySchema = (optional) => ({
+  message: textField("Message", { min: 10, max: 1000, optional }),
+  price: numberField("Price", { min: 1, max: 1000000, optional }),
+  // How long the offer stands; null (on update) makes it open-ended
+  validForDays: {
+    in: ["body"],
+    optional: { options: { values: "null" } },
+    isInt: { options: { min: 1, max: 90 }, errorMessage: "validForDays must be a whole number between 1 and 90" },
+    toInt: true,
+  },
+})
+
+const listBidsSchema = {
+  status: oneOfQuery("status", BID_STATUSES),
+  sort: oneOfQuery("sort", Object.keys(BID_SORTS)),
+  ...paginationQuery,
+}
+
+const counterSchema = {
+  ...idParam("bidId"),
+  price: numberField("Price", { min: 1, max: 1000000 }),
+  ...noteField,
+}
 
 const router = express.Router()
 
-router.post("/", protect, createBid)
-router.get("/my/bids", protect, getMyBids)
-router.get("/:gigId", protect, getBidsForGig)
-router.patch("/:bidId/hire", protect, hireBid)
-router.put("/:bidId", protect, updateBid)
-router.delete("/:bidId", protect, deleteBid)
+router.post(
+  "/",
+  protect,
+  rateLimit("bidCreate"),
+  requireVerified,
+  authorize("freelancer"),
+  validate({ gigId: idField("Gig"), ...bidBodySchema(false) }),
+  createBid,
+)
+router.get("/my/bids", protect, validate(listBidsSchema), getMyBids)
+router.get(
+  "/:gigId",
+  protect,
+  validate({ ...idParam("gigId"), ...listBidsSchema }),
+  requireOwnership({ model: Gig, param: "gigId", as: "gig", action: "view bids for this gig" }),
+  getBidsForGig,
+)
+router.patch(
+  "/:bidId/hire",
+  protect,
+  validate({ ...idParam("bidId"), ...milestonesField({ optional: true }) }),
+  hireBid,
+)
+router.put(
+  "/:bidId",
+  protect,
+  validate({ ...idParam("bidId"), ...bidBodySchema(true) }),
+  ownBid("update this bid"),
+  updateBid,
+)
+router.delete("/:bidId", protect, validate(idParam("bidId")), ownBid("delete this bid"), deleteBid)
+
+// Shortlisting and negotiation
+router.get("/:bidId/history", protect, validate(idParam("bidId")), getBidHistory)
+router.patch("/:bidId/shortlist", protect, validate(idParam("bidId")), shortlistBid)
+router.patch("/:bidId/decline", protect, validate({ ...idParam("bidId"), ...noteField }), declineBid)
+router.patch("/:bidId/counter", protect, validate(counterSchema), counterBid)
+router.patch(
+  "/:bidId/accept-counter",
+  protect,
+  validate(idParam("bidId")),
+  ownBid("accept a counter-offer on this bid"),
+  acceptCounterOffer,
+)
+
+// Attachments
+router.get("/:bidId/attachments", protect, validate(idParam("bidId")), getBidAttachments)
+router.post(
+  "/:bidId/attachments",
+  protect,
+  rateLimit("upload"),
+  validate(idParam("bidId")),
+  ownBid("attach files to this bid"),
+  uploadFiles(),
+  uploadBidAttachments,
+)
 
 export default router
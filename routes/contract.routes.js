@@ -0,0 +1,58 @@
+import express from "express"
+import {
+  getMyContracts,
+  getMyBalance,
+  getContractById,
+  setMilestones,
+  fundMilestone,
+  submitMilestone,
+  requestMilestoneChanges,
+  releaseMilestone,
+} from "../controllers/contract.controller.js"
+import { getContractAttachments, uploadDeliverables } from "../controllers/attachment.controller.js"
+import { protect } from "../middleware/auth.middleware.js"
+import { requireOwnership } from "../middleware/authorize.middleware.js"
+import { rateLimit } from "../middleware/rateLimit.middleware.js"
+import { uploadFiles } from "../middleware/upload.middleware.js"
+import { validate, idParam, textField, milestonesField } from "../middleware/validate.middleware.js"
+import Contract from "../models/Contract.model.js"
+
+const router = express.Router()
+
+// Validation schemas
+const milestoneAction = validate({
+  ...idParam(),
+  ...idParam("milestoneId"),
+  note: textField("Note", { max: 1000, optional: true }),
+})
+
+router.get("/my/contracts", protect, getMyContracts)
+router.get("/my/balance", protect, getMyBalance)
+router.get("/:id", protect, validate(idParam()), getContractById)
+router.put("/:id/milestones", protect, validate({ ...idParam(), ...milestonesField() }), setMilestones)
+router.patch("/:id/milestones/:milestoneId/fund", protect, milestoneAction, fundMilestone)
+router.patch("/:id/milestones/:milestoneId/submit", protect, milestoneAction, submitMilestone)
+router.patch("/:id/milestones/:milestoneId/request-changes", protect, milestoneAction, requestMilestoneChanges)
+router.patch("/:id/milestones/:milestoneId/release", protect, milestoneAction, releaseMilestone)
+
+// Deliverables
+router.get(
+  "/:id/attachments",
+  protect,
+  validate({
+    ...idParam(),
+    milestoneId: { in: ["query"], optional: true, isMongoId: { errorMessage: "milestoneId must be a valid id" } },
+  }),
+  getContractAttachments,
+)
+router.post(
+  "/:id/milestones/:milestoneId/attachments",
+  protect,
+  rateLimit("upload"),
+  validate({ ...idParam(), ...idParam("milestoneId") }),
+  requireOwnership({ model: Contract, field: "freelancerId", as: "contract", action: "deliver work on this contract" }),
+  uploadFiles(),
+  uploadDeliverables,
+)
+
+export default router
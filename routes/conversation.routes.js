@@ -0,0 +1,27 @@
+import express from "express"
+import {
+  getMyConversations,
+  openConversation,
+  getMessages,
+  sendMessage,
+  markConversationRead,
+} from "../controllers/conversation.controller.js"
+import { protect } from "../middleware/auth.middleware.js"
+import { rateLimit } from "../middleware/rateLimit.middleware.js"
+import { validate, idParam, idField, textField, idCursorQuery } from "../middleware/validate.middleware.js"
+
+const router = express.Router()
+
+router.get("/", protect, getMyConversations)
+router.post("/", protect, validate({ bidId: idField("Bid") }), openConversation)
+router.get("/:id/messages", protect, validate({ ...idParam(), ...idCursorQuery }), getMessages)
+router.post(
+  "/:id/messages",
+  protect,
+  rateLimit("message"),
+  validate({ ...idParam(), body: textField("Message", { max: 2000 }) }),
+  sendMessage,
+)
+router.patch("/:id/read", protect, validate(idParam()), markConversationRead)
+
+export default router
@@ -1,14 +1,183 @@
 import express from "express"
-import { getGigs, getGigById, createGig, updateGig, deleteGig, getMyGigs } from "../controllers/gig.controller.js"
-import { protect } from "../middleware/auth.middleware.js"
+import {
+  getGigs,
+  getGigById,
+  createGig,
+  updateGig,
+  deleteGig,
+  getMyGigs,
+  getRecommendedGigs,
+  startGig,
+  submitGig,
+  requestGigChanges,
+  completeGig,
+  cancelGig,
+  disputeGig,
+} from "../controllers/gig.controller.js"
+import { getGigAttachments, uploadGigAttachments } from "../controllers/attachment.controller.js"
+import {
+  createInvitations,
+  getGigInvitations,
+  getInvitedGigs,
+  revokeInvitation,
+} from "../controllers/invitation.controller.js"
+import { optionalAuth, protect, requireVerified } from "../middleware/auth.middleware.js"
+import { authorize, requireOwnership } from "../middleware/authorize.middleware.js"
+import { rateLimit } from "../middleware/rateLimit.middleware.js"
+import { uploadFiles } from "../middleware/upload.middleware.js"
+import {
+  validate,
+  idParam,
+  idField,
+  idListField,
+  textField,
+  numberField,
+  futureDateField,
+  noteField,
+  paginationQuery,
+  oneOfQuery,
+} from "../middleware/validate.middleware.js"
+import { GIG_STATUSES } from "../utils/gigLifecycle.js"
+import { GIG_SORTS } from "../utils/gigQuery.js"
+import Gig, { GIG_VISIBILITIES } from "../models/Gig.model.js"
 
 const router = express.Router()
 
-router.get("/", getGigs)
-router.get("/my/gigs", protect, getMyGigs)
-router.get("/:id", getGigById)
-router.post("/", protect, createGig)
-router.put("/:id", protect, updateGig)
-router.delete("/:id", protect, deleteGig)
+const SORTS = ["relevance", ...Object.keys(GIG_SORTS)]
+
+// Validation schemas
+const listGigsSchema = {
+  search: {
+    in: ["query"],
+    optional: true,
+    isString: true,
+    isLength: { options: { max: 200 }, errorMessage: "search cannot exceed 200 characters" },
+  },
+  match: oneOfQuery("match", ["text", "partial"]),
+  status: oneOfQuery("status", GIG_STATUSES),
+  sort: oneOfQuery("sort", SORTS),
+  category: { in: ["query"], optional: true, isMongoId: { errorMessage: "category must be a valid id" } },
+  skills: {
+    in: ["query"],
+    optional: true,
+    custom: {
+      options: (value) =>
+        String(value)
+          .split(",")
+          .every((id) => /^[a-f\d]{24}$/i.test(id.trim())),
+      errorMessage: "skills must be a comma separated list of valid ids",
+    },
+  },
+  minBudget: {
+    in: ["query"],
+    optional: true,
+    isFloat: { options: { min: 0 }, errorMessage: "minBudget must be a number" },
+  },
+  maxBudget: {
+    in: ["query"],
+    optional: true,
+    isFloat: { options: { min: 0 }, errorMessage: "maxBudget must be a number" },
+  },
+  owner: { in: ["query"], optional: true, isMongoId: { errorMessage: "owner must be a valid id" } },
+  postedAfter: { in: ["query"], optional: true, isISO8601: { errorMessage: "postedAfter must be a valid date" } },
+  postedBefore: { in: ["query"], optional: true, isISO8601: { errorMessage: "postedBefore must be a valid date" } },
+  ...paginationQuery,
+}
+
+const myGigsSchema = {
+  status: oneOfQuery("status", GIG_STATUSES),
+  sort: oneOfQuery("sort", SORTS),
+  ...paginationQuery,
+}
+
+const gigBodySchema = (optional) => ({
+  title: textField("Title", { min: 5, max: 100, optional }),
+  description: textField("Description", { min: 20, max: 2000, optional }),
+  budget: numberField("Budget", { min: 1, max: 1000000, optional }),
+  categoryId: idField("Category", { nullable: true }),
+  ...idListField("skills", "Skills", { max: 15 }),
+  visibility: {
+    in: ["body"],
+    optional: true,
+    isIn: { options: [GIG_VISIBILITIES], errorMessage: `visibility must be one of ${GIG_VISIBILITIES.join(", ")}` },
+  },
+  biddingDeadline: futureDateField("Bidding deadline", { nullable: true }),
+  deliveryDueDate: futureDateField("Delivery due date", { nullable: true }),
+})
+
+// Invitees by account and/or by email address, at most 20 of each per request
+const invitationSchema = {
+  ...idListField("userIds", "Users", { max: 20 }),
+  emails: {
+    in: ["body"],
+    optional: true,
+    isArray: { options: { max: 20 }, errorMessage: "emails must be a list of at most 20 addresses" },
+  },
+  "emails.*": {
+    in: ["body"],
+    isString: { errorMessage: "emails must be a list of valid email addresses", bail: true },
+    trim: true,
+    isEmail: { errorMessage: "emails must be a list of valid email addresses" },
+    toLowerCase: true,
+  },
+}
+
+const ownGig = (action) => requireOwnership({ model: Gig, as: "gig", action })
+
+const transition = validate({ ...idParam(), ...noteField })
+
+router.get("/", validate(listGigsSchema), getGigs)
+router.get("/my/gigs", protect, validate(myGigsSchema), getMyGigs)
+router.get("/recommended", protect, validate({ limit: paginationQuery.limit }), getRecommendedGigs)
+router.get("/invitations", protect, validate(paginationQuery), getInvitedGigs)
+router.get("/:id", optionalAuth, validate(idParam()), getGigById)
+router.post(
+  "/",
+  protect,
+  rateLimit("gigCreate"),
+  requireVerified,
+  authorize("client"),
+  validate(gigBodySchema(false)),
+  createGig,
+)
+router.put("/:id", protect, validate({ ...idParam(), ...gigBodySchema(true) }), ownGig("update this gig"), updateGig)
+router.delete("/:id", protect, validate(idParam()), ownGig("delete this gig"), deleteGig)
+
+// Attachments
+router.get("/:id/attachments", optionalAuth, validate(idParam()), getGigAttachments)
+router.post(
+  "/:id/attachments",
+  protect,
+  rateLimit("upload"),
+  validate(idParam()),
+  ownGig("attach files to this gig"),
+  uploadFiles(),
+  uploadGigAttachments,
+)
+
+// Invitations
+router.get("/:id/invitations", protect, validate(idParam()), ownGig("view this gig's invitations"), getGigInvitations)
+router.post(
+  "/:id/invitations",
+  protect,
+  validate({ ...idParam(), ...invitationSchema }),
+  ownGig("invite freelancers to this gig"),
+  createInvitations,
+)
+router.delete(
+  "/:id/invitations/:invitationId",
+  protect,
+  validate({ ...idParam(), ...idParam("invitationId") }),
+  ownGig("withdraw invitations to this gig"),
+  revokeInvitation,
+)
+
+// Lifecycle transitions
+router.patch("/:id/start", protect, transition, startGig)
+router.patch("/:id/submit", protect, transition, submitGig)
+router.patch("/:id/request-changes", protect, transition, requestGigChanges)
+router.patch("/:id/complete", protect, transition, completeGig)
+router.patch("/:id/cancel", protect, transition, cancelGig)
+router.patch("/:id/dispute", protect, transition, disputeGig)
 
 export default router
@@ -0,0 +1,11 @@
+import express from "express"
+import { getLiveness, getReadiness } from "../controllers/health.controller.js"
+
+const router = express.Router()
+
+// Plain /api/health is kept for existing monitors
+router.get("/", getLiveness)
+router.get("/live", getLiveness)
+router.get("/ready", getReadiness)
+
+export default router
@@ -0,0 +1,43 @@
+import express from "express"
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+} from "../controllers/notification.controller.js"
+import { protect } from "../middleware/auth.middleware.js"
+import { validate, idParam, idCursorQuery } from "../middleware/validate.middleware.js"
+import { NOTIFICATION_TYPES } from "../models/Notification.model.js"
+
+const router = express.Router()
+
+// Validation schemas
+const listNotificationsSchema = {
+  unread: { in: ["query"], optional: true, isBoolean: { errorMessage: "unread must be true or false" } },
+  ...idCursorQuery,
+}
+
+const preferencesSchema = {
+  preferences: {
+    in: ["body"],
+    isObject: { errorMessage: "preferences must be an object", bail: true },
+    custom: {
+      options: (preferences) =>
+        Object.entries(preferences).every(
+          ([type, enabled]) => NOTIFICATION_TYPES.includes(type) && typeof enabled === "boolean",
+        ),
+      errorMessage: `preferences must map ${NOTIFICATION_TYPES.join(", ")} to true or false`,
+    },
+  },
+}
+
+router.get("/", protect, validate(listNotificationsSchema), getNotifications)
+router.get("/unread-count", protect, getUnreadCount)
+router.get("/preferences", protect, getPreferences)
+router.put("/preferences", protect, validate(preferencesSchema), updatePreferences)
+router.patch("/read-all", protect, markAllNotificationsRead)
+router.patch("/:id/read", protect, validate(idParam()), markNotificationRead)
+
+export default router
@@ -0,0 +1,22 @@
+import express from "express"
+import { createReview, getUserReviews } from "../controllers/review.controller.js"
+import { protect } from "../middleware/auth.middleware.js"
+import { validate, idParam, idField, textField } from "../middleware/validate.middleware.js"
+
+const router = express.Router()
+
+// Validation schemas
+const reviewSchema = {
+  contractId: idField("Contract"),
+  rating: {
+    in: ["body"],
+    isInt: { options: { min: 1, max: 5 }, errorMessage: "Rating must be a whole number between 1 and 5" },
+    toInt: true,
+  },
+  comment: textField("Review", { min: 10, max: 1000 }),
+}
+
+router.post("/", protect, validate(reviewSchema), createReview)
+router.get("/user/:userId", validate(idParam("userId")), getUserReviews)
+
+export default router
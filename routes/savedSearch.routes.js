@@ -0,0 +1,51 @@
+import express from "express"
+import {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+} from "../controllers/savedSearch.controller.js"
+import { protect } from "../middleware/auth.middleware.js"
+import { validate, idParam, idField, idListField, textField } from "../middleware/validate.middleware.js"
+
+const router = express.Router()
+
+// Validation schemas
+const budgetFilter = (label) => ({
+  in: ["body"],
+  optional: { options: { values: "null" } },
+  isFloat: { options: { min: 0 }, errorMessage: `${label} must be a positive number` },
+  toFloat: true,
+})
+
+const savedSearchSchema = (optional) => ({
+  name: textField("Name", { max: 60, optional }),
+  search: textField("Search", { min: 0, max: 200, optional: true }),
+  filters: {
+    in: ["body"],
+    optional: { options: { values: "null" } },
+    isObject: { errorMessage: "filters must be an object" },
+  },
+  "filters.categoryId": idField("Category", { nullable: true }),
+  ...idListField("filters.skills", "Skills", { max: 15 }),
+  "filters.minBudget": budgetFilter("Minimum budget"),
+  "filters.maxBudget": budgetFilter("Maximum budget"),
+  alerts: {
+    in: ["body"],
+    optional: true,
+    isBoolean: { errorMessage: "alerts must be true or false" },
+    toBoolean: true,
+  },
+  digest: {
+    in: ["body"],
+    optional: true,
+    isIn: { options: [["none", "daily", "weekly"]], errorMessage: "digest must be one of none, daily, weekly" },
+  },
+})
+
+router.get("/", protect, getSavedSearches)
+router.post("/", protect, validate(savedSearchSchema(false)), createSavedSearch)
+router.put("/:id", protect, validate({ ...idParam(), ...savedSearchSchema(true) }), updateSavedSearch)
+router.delete("/:id", protect, validate(idParam()), deleteSavedSearch)
+
+export default router
@@ -0,0 +1,30 @@
+import express from "express"
+import { getCategories, createCategory, getSkills, createSkill } from "../controllers/taxonomy.controller.js"
+import { protect } from "../middleware/auth.middleware.js"
+import { authorize } from "../middleware/authorize.middleware.js"
+import { validate, idField, textField } from "../middleware/validate.middleware.js"
+
+const router = express.Router()
+
+// Validation schemas
+const skillsQuerySchema = {
+  category: { in: ["query"], optional: true, isMongoId: { errorMessage: "category must be a valid id" } },
+  search: { in: ["query"], optional: true, isString: true, isLength: { options: { max: 50 } } },
+}
+
+const categorySchema = {
+  name: textField("Category name", { min: 2, max: 50 }),
+  description: textField("Description", { min: 0, max: 300, optional: true }),
+}
+
+const skillSchema = {
+  name: textField("Skill name", { max: 50 }),
+  categoryId: idField("Category", { nullable: true }),
+}
+
+router.get("/categories", getCategories)
+router.post("/categories", protect, authorize("admin"), validate(categorySchema), createCategory)
+router.get("/skills", validate(skillsQuerySchema), getSkills)
+router.post("/skills", protect, authorize("admin"), validate(skillSchema), createSkill)
+
+export default router
@@ -0,0 +1,61 @@
+import express from "express"
+import { getUserProfile, updateMyProfile, updateMySkills } from "../controllers/user.controller.js"
+import { optionalAuth, protect } from "../middleware/auth.middleware.js"
+import { validate, idParam, idListField, numberField, textField } from "../middleware/validate.middleware.js"
+import { MAX_PORTFOLIO_ITEMS, isTimeZone } from "../models/User.model.js"
+
+const router = express.Router()
+
+// Validation schemas
+const urlField = (label, { nullable = false } = {}) => ({
+  in: ["body"],
+  ...(nullable && { optional: { options: { values: "null" } } }),
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  trim: true,
+  isURL: {
+    options: { protocols: ["http", "https"], require_protocol: true },
+    errorMessage: `${label} must be an http(s) URL`,
+    bail: true,
+  },
+  isLength: { options: { max: 500 }, errorMessage: `${label} cannot exceed 500 characters` },
+})
+
+const profileSchema = {
+  name: textField("Name", { min: 2, max: 50, optional: true }),
+  headline: textField("Headline", { max: 120, nullable: true }),
+  bio: textField("Bio", { max: 2000, nullable: true }),
+  hourlyRate: numberField("Hourly rate", { min: 1, max: 10000, nullable: true }),
+  location: textField("Location", { max: 100, nullable: true }),
+  timezone: {
+    in: ["body"],
+    optional: { options: { values: "null" } },
+    custom: {
+      options: (value) => typeof value === "string" && isTimeZone(value),
+      errorMessage: "Timezone must be an IANA name such as Europe/Berlin",
+    },
+  },
+  avatarUrl: urlField("Avatar URL", { nullable: true }),
+  portfolio: {
+    in: ["body"],
+    optional: true,
+    isArray: {
+      options: { max: MAX_PORTFOLIO_ITEMS },
+      errorMessage: `Portfolio must be a list of at most ${MAX_PORTFOLIO_ITEMS} items`,
+    },
+  },
+  "portfolio.*.title": textField("Portfolio item title", { max: 100 }),
+  "portfolio.*.url": urlField("Portfolio item URL"),
+  "portfolio.*.description": textField("Portfolio item description", { max: 500, optional: true }),
+  ...idListField("skills", "Skills", { max: 30 }),
+}
+
+router.put("/me", protect, validate(profileSchema), updateMyProfile)
+router.put(
+  "/me/skills",
+  protect,
+  validate(idListField("skills", "Skills", { max: 30, optional: false })),
+  updateMySkills,
+)
+router.get("/:id", optionalAuth, validate(idParam()), getUserProfile)
+
+export default router
@@ -1,112 +1,56 @@
-import express from "express"
 import mongoose from "mongoose"
-import cookieParser from "cookie-parser"
-import cors from "cors"
-import dotenv from "dotenv"
-import { createServer } from "http"
-import { Server } from "socket.io"
+import { config } from "./config/index.js"
+import { createApp } from "./app.js"
+import { logger } from "./utils/logger.js"
+import { verifyPreexistingAccounts } from "./services/verification.service.js"
 
-// Routes
-import authRoutes from "./routes/auth.routes.js"
-import gigRoutes from "./routes/gig.routes.js"
-import bidRoutes from "./routes/bid.routes.js"
+// Background jobs
+import { registerJobs, scheduleRecurringJobs } from "./jobs/index.js"
+import { startScheduler, stopScheduler } from "./utils/scheduler.js"
 
-// Error handler
-import { errorHandler } from "./middleware/error.middleware.js"
+// Graceful shutdown
+import { registerShutdownHandlers } from "./utils/shutdown.js"
 
-dotenv.config()
+const { httpServer, io } = createApp()
 
-const app = express()
-const httpServer = createServer(app)
-
-/* =========================
-   CORS (PROD + DEV SAFE)
-   Works with Vercel proxy
-========================= */
-app.use(
-  cors({
-    origin: true,          // allow Vercel proxy + dev
-    credentials: true,    // cookies / auth
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
-  })
-)
-
-// ✅ IMPORTANT: handle preflight properly (fixes 500)
-app.options("*", cors())
-
-/* =========================
-   MIDDLEWARE
-========================= */
-app.use(express.json())
-app.use(express.urlencoded({ extended: true }))
-app.use(cookieParser())
-
-/* =========================
-   ROUTES
-========================= */
-app.use("/api/auth", authRoutes)
-app.use("/api/gigs", gigRoutes)
-app.use("/api/bids", bidRoutes)
-
-app.get("/api/health", (req, res) => {
-  res.status(200).json({
-    status: "ok",
-    message: "GigFlow API running",
-  })
-})
-
-/* =========================
-   SOCKET.IO (SAFE)
-========================= */
-const io = new Server(httpServer, {
-  cors: {
-    origin: true,
-    credentials: true,
-  },
-})
-
-app.set("io", io)
-
-io.on("connection", (socket) => {
-  console.log("🔌 Socket connected:", socket.id)
-
-  socket.on("join", (userId) => {
-    socket.join(`user:${userId}`)
-  })
-
-  socket.on("disconnect", () => {
-    console.log("❌ Socket disconnected:", socket.id)
-  })
-})
-
-/* =========================
-   ERROR HANDLER
-========================= */
-app.use(errorHandler)
+registerJobs()
 
 /* =========================
    DATABASE + SERVER
 ========================= */
-const PORT = process.env.PORT || 5000
+const PORT = config.port
 
 mongoose
-  .connect(process.env.MONGODB_URI)
-  .then(() => {
-    console.log("✅ MongoDB connected")
+  .connect(config.mongodbUri)
+  .then(async () => {
+    logger.info("mongodb connected")
+
+    // Before taking requests, so accounts from before email verification aren't turned away
+    await verifyPreexistingAccounts()
+      .then((count) => count && logger.info("existing accounts marked as verified", { count }))
+      .catch((err) => logger.error("existing accounts could not be marked as verified", { err }))
+
     httpServer.listen(PORT, () => {
-      console.log(`🚀 Server running on port ${PORT}`)
+      logger.info("server listening", { port: PORT, env: config.env })
     })
+
+    if (config.scheduler.enabled) {
+      // One-off jobs (bidding deadlines) still run if the recurring ones can't be set up
+      await scheduleRecurringJobs().catch((err) => logger.error("recurring jobs could not be scheduled", { err }))
+      startScheduler({ context: { io }, pollMs: config.scheduler.pollMs })
+    }
   })
   .catch((err) => {
-    console.error("❌ MongoDB error:", err)
+    logger.error("mongodb connection failed", { err })
     process.exit(1)
   })
 
 /* =========================
-   SAFETY
+   SAFETY + SHUTDOWN
 ========================= */
-process.on("unhandledRejection", (err) => {
-  console.error("Unhandled Rejection:", err)
-  httpServer.close(() => process.exit(1))
+registerShutdownHandlers({
+  httpServer,
+  io,
+  onShutdown: [stopScheduler],
+  timeoutMs: config.shutdownTimeoutMs,
 })
@@ -0,0 +1,125 @@
+import path from "path"
+import { randomUUID } from "crypto"
+import Attachment from "../models/Attachment.model.js"
+import Contract from "../models/Contract.model.js"
+import Gig from "../models/Gig.model.js"
+import { hasRole, isSameUser } from "../middleware/authorize.middleware.js"
+import { ConflictError } from "../utils/errors.js"
+import { logger } from "../utils/logger.js"
+import { canViewGig } from "./invitation.service.js"
+import { getStorage } from "./storage.service.js"
+
+// File types that may be uploaded, with the extension they are stored under.
+// Anything else (HTML, SVG, executables...) is refused.
+export const ALLOWED_MIME_TYPES = {
+  "application/pdf": ".pdf",
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "text/plain": ".txt",
+  "text/csv": ".csv",
+  "application/zip": ".zip",
+  "application/msword": ".doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+  "application/vnd.ms-excel": ".xls",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ".xlsx",
+  "application/vnd.ms-powerpoint": ".ppt",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": ".pptx",
+}
+
+export const MAX_FILES_PER_UPLOAD = 5
+
+// Per gig, bid or milestone
+export const MAX_ATTACHMENTS_PER_PARENT = 10
+
+// Only the last path segment of the client's file name is kept
+const cleanFileName = (name) => path.basename(name || "file").slice(0, 255) || "file"
+
+// Store multer `files` and record them as attachments of `parent`
+// ({ kind, gigId, bidId?, contractId?, milestoneId? }). Either every file is
+// stored or none is.
+export const saveAttachments = async (files, parent, uploadedBy) => {
+  // The contract is implied by the milestone
+  const { contractId, ...scope } = parent
+  const existing = await Attachment.countDocuments(scope)
+
+  if (existing + files.length > MAX_ATTACHMENTS_PER_PARENT) {
+    throw new ConflictError(`You can attach at most ${MAX_ATTACHMENTS_PER_PARENT} files here`, {
+      code: "LIMIT_REACHED",
+      details: { limit: MAX_ATTACHMENTS_PER_PARENT, existing },
+    })
+  }
+
+  const storage = getStorage()
+  const stored = []
+
+  try {
+    for (const file of files) {
+      const storageKey = `${parent.kind}/${randomUUID()}${ALLOWED_MIME_TYPES[file.mimetype]}`
+      await storage.save(storageKey, file.buffer)
+      stored.push({
+        ...parent,
+        uploadedBy,
+        originalName: cleanFileName(file.originalname),
+        mimeType: file.mimetype,
+        size: file.size,
+        storageKey,
+      })
+    }
+
+    return await Attachment.insertMany(stored)
+  } catch (error) {
+    await Promise.allSettled(stored.map(({ storageKey }) => storage.remove(storageKey)))
+    throw error
+  }
+}
+
+// Delete the attachments matching `filter` along with their files. A file
+// that can't be removed is logged rather than failing the caller's delete.
+export const removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).select("+storageKey")
+  if (!attachments.length) return 0
+
+  const storage = getStorage()
+  const results = await Promise.allSettled(attachments.map(({ storageKey }) => storage.remove(storageKey)))
+
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      logger.warn("attachment file not removed", { storageKey: attachments[index].storageKey, err: result.reason })
+    }
+  })
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map(({ _id }) => _id) } })
+  return attachments.length
+}
+
+// A gig's own files follow the gig: gone for everyone but its owner and
+// admins while moderators have hidden it
+export const canAccessGigFiles = async (gig, user) => {
+  if (!gig) return false
+  if (gig.hiddenAt) return isSameUser(gig.ownerId, user) || hasRole(user, "admin")
+  return canViewGig(gig, user)
+}
+
+// Who may download an attachment:
+//   gig          anyone who can see the gig
+//   bid          the bidding freelancer and the gig owner
+//   deliverable  both parties to the contract
+// Admins may download anything.
+export const canAccessAttachment = async (attachment, user) => {
+  if (attachment.kind === "gig") {
+    return canAccessGigFiles(await Gig.findById(attachment.gigId).select("ownerId visibility hiddenAt"), user)
+  }
+  if (!user) return false
+  if (hasRole(user, "admin")) return true
+
+  if (attachment.kind === "bid") {
+    if (isSameUser(attachment.uploadedBy, user)) return true
+    const gig = await Gig.findById(attachment.gigId).select("ownerId")
+    return isSameUser(gig?.ownerId, user)
+  }
+
+  const contract = await Contract.findById(attachment.contractId).select("ownerId freelancerId")
+  return isSameUser(contract?.ownerId, user) || isSameUser(contract?.freelancerId, user)
+}
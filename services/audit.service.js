@@ -0,0 +1,13 @@
+import AuditLog from "../models/AuditLog.model.js"
+
+// Record an admin action performed in `req`
+export const recordAudit = (req, { action, targetType, targetId, reason, details }) =>
+  AuditLog.create({
+    actorId: req.user._id,
+    action,
+    targetType,
+    targetId,
+    reason: reason || "",
+    details: details || {},
+    ip: req.ip || "",
+  })
@@ -0,0 +1,98 @@
+import Contract from "../models/Contract.model.js"
+import { ESCROWED_MILESTONE_STATUSES, recordRefund, toCents } from "./ledger.service.js"
+import { ConflictError } from "../utils/errors.js"
+
+export const MAX_MILESTONES = 20
+
+// Validate a milestone plan against the agreed contract amount.
+// Returns an error message, or null if the plan is acceptable.
+export const validateMilestonePlan = (milestones, amount) => {
+  if (!Array.isArray(milestones) || milestones.length === 0) {
+    return "At least one milestone is required"
+  }
+
+  if (milestones.length > MAX_MILESTONES) {
+    return `A contract cannot have more than ${MAX_MILESTONES} milestones`
+  }
+
+  for (const milestone of milestones) {
+    if (typeof milestone?.amount !== "number" || !(milestone.amount > 0)) {
+      return "Every milestone needs a positive amount"
+    }
+  }
+
+  const total = milestones.reduce((sum, milestone) => sum + toCents(milestone.amount), 0)
+  if (total !== toCents(amount)) {
+    return `Milestone amounts must add up to the agreed price of $${amount}`
+  }
+
+  return null
+}
+
+// Create the contract for a freshly hired bid. Without an explicit plan the
+// whole price becomes a single milestone.
+export const createContractForHire = async ({ gig, bid, milestones }, session) => {
+  const plan = milestones?.length ? milestones : [{ title: "Full delivery", amount: bid.price }]
+
+  const [contract] = await Contract.create(
+    [
+      {
+        gigId: gig._id,
+        bidId: bid._id,
+        ownerId: gig.ownerId,
+        freelancerId: bid.freelancerId,
+        amount: bid.price,
+        milestones: plan.map(({ title, amount, dueDate }) => ({ title, amount, dueDate })),
+      },
+    ],
+    { session },
+  )
+
+  return contract
+}
+
+// Cancel a gig's contract and refund everything still held in escrow
+export const cancelContractForGig = async (gigId, session) => {
+  const contract = await Contract.findOne({ gigId, status: "active" }).session(session)
+
+  if (!contract) {
+    return null
+  }
+
+  for (const milestone of contract.milestones) {
+    if (ESCROWED_MILESTONE_STATUSES.includes(milestone.status)) {
+      await recordRefund(contract, milestone, session)
+      milestone.status = "refunded"
+    }
+  }
+
+  contract.status = "cancelled"
+  await contract.save({ session })
+
+  return contract
+}
+
+// Close a gig's contract as the gig is completed. Refused while any milestone
+// is unpaid, so nothing is left behind in escrow.
+export const completeContractForGig = async (gigId, session) => {
+  const contract = await Contract.findOne({ gigId, status: { $ne: "cancelled" } }).session(session)
+
+  if (!contract) {
+    return null
+  }
+
+  const unreleased = contract.milestones.filter((milestone) => milestone.status !== "released")
+  if (unreleased.length) {
+    throw new ConflictError("Every milestone must be released before the gig can be completed", {
+      code: "MILESTONES_UNRELEASED",
+      details: { milestones: unreleased.map((milestone) => ({ id: milestone._id, status: milestone.status })) },
+    })
+  }
+
+  if (contract.status === "active") {
+    contract.status = "completed"
+    await contract.save({ session })
+  }
+
+  return contract
+}
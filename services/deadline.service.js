@@ -0,0 +1,155 @@
+import Bid from "../models/Bid.model.js"
+import Gig from "../models/Gig.model.js"
+import { OPEN_BID_STATUSES, bidHistoryEntry } from "../utils/bidLifecycle.js"
+import { cancelJob, scheduleJob } from "../utils/scheduler.js"
+import { notify, notifyMany } from "./notification.service.js"
+
+// Gig deadlines and bid validity. The checks here are also made on every
+// request, so a deadline holds even if the job that acts on it runs late.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Pending bids older than this count as waiting for the owner's review;
+// owners are reminded at most once per period
+const REVIEW_REMINDER_MS = DAY_MS
+
+// Bids expired per run, so one sweep can't run for too long
+const EXPIRE_BATCH_SIZE = 200
+
+const closeBiddingJobKey = (gigId) => `gig.closeBidding:${gigId}`
+
+export const isBiddingClosed = (gig, now = new Date()) =>
+  Boolean(gig.biddingClosedAt || (gig.biddingDeadline && gig.biddingDeadline <= now))
+
+// Schedule (or cancel) the job that closes bidding at the gig's deadline
+export const scheduleBiddingDeadline = (gig) =>
+  gig.biddingDeadline && gig.status === "open" && !gig.biddingClosedAt
+    ? scheduleJob("gig.closeBidding", {
+        key: closeBiddingJobKey(gig._id),
+        runAt: gig.biddingDeadline,
+        payload: { gigId: gig._id.toString() },
+      })
+    : cancelBiddingDeadline(gig._id)
+
+export const cancelBiddingDeadline = (gigId) => cancelJob(closeBiddingJobKey(gigId))
+
+// Close bidding on a gig whose deadline has passed and tell the owner.
+// Does nothing if the deadline was moved or the gig is no longer open.
+export const closeBidding = async (io, gigId, now = new Date()) => {
+  const gig = await Gig.findOneAndUpdate(
+    { _id: gigId, status: "open", biddingClosedAt: null, biddingDeadline: { $lte: now } },
+    { $set: { biddingClosedAt: now } },
+    { new: true },
+  )
+  if (!gig) return null
+
+  await notify(io, gig.ownerId, {
+    type: "bidding_closed",
+    title: "Bidding has closed",
+    message: `The bidding deadline for "${gig.title}" has passed. You have ${gig.bidCount} bid${gig.bidCount === 1 ? "" : "s"} to review`,
+    data: { gigId: gig._id },
+  })
+
+  return gig
+}
+
+// Mark open bids past their validUntil as expired and tell the freelancers
+export const expireStaleBids = async (io, now = new Date()) => {
+  const stale = await Bid.find({ status: { $in: OPEN_BID_STATUSES }, validUntil: { $lte: now } })
+    .select("_id")
+    .limit(EXPIRE_BATCH_SIZE)
+
+  let expired = 0
+
+  for (const { _id } of stale) {
+    // Re-checked in the update so a bid hired or renewed meanwhile is left alone
+    const bid = await Bid.findOneAndUpdate(
+      { _id, status: { $in: OPEN_BID_STATUSES }, validUntil: { $lte: now } },
+      { $set: { status: "expired", counterOffer: null }, $push: { history: bidHistoryEntry("expired", null) } },
+      { new: true },
+    ).populate("gigId", "title")
+    if (!bid) continue
+
+    expired += 1
+    await notify(io, bid.freelancerId, {
+      type: "bid_expired",
+      title: "Your bid expired",
+      message: `Your bid on "${bid.gigId?.title}" expired without a decision`,
+      data: { gigId: bid.gigId?._id, bidId: bid._id },
+    })
+  }
+
+  return expired
+}
+
+// Remind owners of open gigs about pending bids they haven't looked at
+export const remindUnreviewedBids = async (io, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - REVIEW_REMINDER_MS)
+
+  const waiting = await Bid.aggregate([
+    { $match: { status: "pending", createdAt: { $lte: cutoff } } },
+    { $group: { _id: "$gigId", count: { $sum: 1 } } },
+  ])
+
+  let reminded = 0
+
+  for (const { _id: gigId, count } of waiting) {
+    const gig = await Gig.findOneAndUpdate(
+      {
+        _id: gigId,
+        status: "open",
+        hiddenAt: null,
+        $or: [{ bidReminderSentAt: null }, { bidReminderSentAt: { $lte: cutoff } }],
+      },
+      { $set: { bidReminderSentAt: now } },
+      { new: true },
+    )
+    if (!gig) continue
+
+    reminded += 1
+    await notify(io, gig.ownerId, {
+      type: "bids_awaiting_review",
+      title: "Bids are waiting for you",
+      message: `${count} bid${count === 1 ? " is" : "s are"} waiting for your review on "${gig.title}"`,
+      data: { gigId: gig._id, count },
+    })
+  }
+
+  return reminded
+}
+
+// Gigs whose delivery is under way
+const IN_DELIVERY_STATUSES = ["assigned", "in_progress"]
+
+// Flag assigned gigs past their delivery due date, once, and tell both sides
+export const flagOverdueGigs = async (io, now = new Date()) => {
+  const due = await Gig.find({
+    status: { $in: IN_DELIVERY_STATUSES },
+    deliveryDueDate: { $lte: now },
+    overdueAt: null,
+  }).select("_id")
+
+  let flagged = 0
+
+  for (const { _id } of due) {
+    // Re-checked in the update so a gig completed or cancelled meanwhile is left alone
+    const gig = await Gig.findOneAndUpdate(
+      { _id, status: { $in: IN_DELIVERY_STATUSES }, overdueAt: null },
+      { $set: { overdueAt: now } },
+      { new: true },
+    )
+    if (!gig) continue
+
+    flagged += 1
+    const hiredBid = gig.hiredBidId ? await Bid.findById(gig.hiredBidId).select("freelancerId") : null
+
+    await notifyMany(io, [gig.ownerId, hiredBid?.freelancerId].filter(Boolean), {
+      type: "gig_overdue",
+      title: "Delivery is overdue",
+      message: `"${gig.title}" was due on ${gig.deliveryDueDate.toISOString().slice(0, 10)}`,
+      data: { gigId: gig._id },
+    })
+  }
+
+  return flagged
+}
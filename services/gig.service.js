@@ -0,0 +1,44 @@
+import Gig from "../models/Gig.model.js"
+import Bid from "../models/Bid.model.js"
+import Invitation from "../models/Invitation.model.js"
+import { OPEN_BID_STATUSES } from "../utils/bidLifecycle.js"
+import { removeAttachments } from "./attachment.service.js"
+import { cancelBiddingDeadline } from "./deadline.service.js"
+import { notifyMany } from "./notification.service.js"
+import { ConflictError } from "../utils/errors.js"
+
+// Freelancers with a live (pending or shortlisted) bid on a gig, who should hear about changes to it
+export const getPendingBidders = async (gigId) => {
+  const bids = await Bid.find({ gigId, status: { $in: OPEN_BID_STATUSES } }).select("freelancerId")
+  return bids.map((bid) => bid.freelancerId)
+}
+
+// Delete a gig with all of its bids and attachments and tell the pending bidders.
+// Only open gigs can be deleted: once someone is hired the contract, its
+// escrow and the hired bid have to stay, so the gig must be cancelled instead.
+// `removedBy` ends up in the notification: "its owner" or "a moderator".
+export const deleteGigWithBids = async (gig, io, { removedBy = "its owner" } = {}) => {
+  const bidders = await getPendingBidders(gig._id)
+
+  // Guarded on the status so a hire racing with the delete can't be orphaned
+  const { deletedCount } = await Gig.deleteOne({ _id: gig._id, status: "open" })
+  if (!deletedCount) {
+    throw new ConflictError("Only open gigs can be deleted, cancel the gig instead", {
+      code: "GIG_NOT_OPEN",
+      details: { status: gig.status },
+    })
+  }
+
+  // Delete all bids associated with this gig
+  await Bid.deleteMany({ gigId: gig._id })
+  await Invitation.deleteMany({ gigId: gig._id })
+  await removeAttachments({ gigId: gig._id })
+  await cancelBiddingDeadline(gig._id)
+
+  await notifyMany(io, bidders, {
+    type: "gig_deleted",
+    title: "A gig you bid on was removed",
+    message: `"${gig.title}" has been deleted by ${removedBy}`,
+    data: { gigId: gig._id },
+  })
+}
@@ -0,0 +1,114 @@
+import mongoose from "mongoose"
+import Bid from "../models/Bid.model.js"
+import Invitation from "../models/Invitation.model.js"
+import User from "../models/User.model.js"
+import { hasRole, isSameUser } from "../middleware/authorize.middleware.js"
+import { BadRequestError, ConflictError, NotFoundError } from "../utils/errors.js"
+import { logger } from "../utils/logger.js"
+import { sendGigInvitationEmail } from "./mail.service.js"
+import { notify } from "./notification.service.js"
+
+export const MAX_INVITATIONS_PER_GIG = 100
+
+// Filter for the invitations addressed to `user`: to their account, or to
+// their email address once they have verified it
+export const invitationsFor = (user) => ({
+  $or: [{ userId: user._id }, ...(user.emailVerified ? [{ email: user.email }] : [])],
+})
+
+export const isInvited = async (gigId, user) => Boolean(await Invitation.exists({ gigId, ...invitationsFor(user) }))
+
+// Whether `user` (null for guests) may see a gig. Public and unlisted gigs
+// are open to anyone with the link; invite-only gigs to their owner,
+// invitees, freelancers who already bid and admins.
+export const canViewGig = async (gig, user) => {
+  if (gig.visibility !== "invite_only") return true
+  if (!user) return false
+  if (isSameUser(gig.ownerId, user) || hasRole(user, "admin")) return true
+
+  return (await isInvited(gig._id, user)) || Boolean(await Bid.exists({ gigId: gig._id, freelancerId: user._id }))
+}
+
+// Invite users (by id) and email addresses to bid on `gig`. People already
+// invited are skipped, so repeating a request is harmless. Returns the new
+// invitations.
+export const inviteToGig = async (io, gig, inviter, { userIds = [], emails = [] }) => {
+  if (!userIds.length && !emails.length) {
+    throw new BadRequestError("Invite at least one user or email address", { code: "NO_INVITEES" })
+  }
+
+  if (userIds.some((id) => isSameUser(id, inviter)) || emails.includes(inviter.email)) {
+    throw new BadRequestError("You cannot invite yourself to your own gig", { code: "CANNOT_INVITE_SELF" })
+  }
+
+  const users = await User.find({ _id: { $in: userIds }, suspendedAt: null }).select("_id")
+  const missing = userIds.filter((id) => !users.some((user) => isSameUser(user, id)))
+  if (missing.length) {
+    throw new NotFoundError("User not found", { code: "USER_NOT_FOUND", details: { userIds: missing } })
+  }
+
+  const existing = await Invitation.find({
+    gigId: gig._id,
+    $or: [{ userId: { $in: userIds } }, { email: { $in: emails } }],
+  }).select("userId email")
+
+  const fresh = [
+    ...[...new Set(userIds.map(String))]
+      .filter((id) => !existing.some((invitation) => isSameUser(invitation.userId, id)))
+      .map((userId) => ({ userId })),
+    ...[...new Set(emails)]
+      .filter((email) => !existing.some((invitation) => invitation.email === email))
+      .map((email) => ({ email })),
+  ]
+
+  if ((await Invitation.countDocuments({ gigId: gig._id })) + fresh.length > MAX_INVITATIONS_PER_GIG) {
+    throw new ConflictError(`A gig can have at most ${MAX_INVITATIONS_PER_GIG} invitations`, {
+      code: "LIMIT_REACHED",
+      details: { max: MAX_INVITATIONS_PER_GIG },
+    })
+  }
+
+  // All or nothing, so losing a race with an identical request leaves no
+  // half-saved invitations behind and the request can simply be retried
+  let invitations
+  const session = await mongoose.startSession()
+  try {
+    await session.withTransaction(async () => {
+      invitations = await Invitation.insertMany(
+        fresh.map((invitee) => ({ ...invitee, gigId: gig._id, invitedBy: inviter._id })),
+        { session },
+      )
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError("Some of these people were invited by another request, please retry", {
+        code: "ALREADY_INVITED",
+      })
+    }
+    throw error
+  } finally {
+    session.endSession()
+  }
+
+  for (const invitation of invitations) {
+    if (invitation.userId) {
+      await notify(io, invitation.userId, {
+        type: "gig_invitation",
+        title: "You're invited to bid",
+        message: `${inviter.name} invited you to bid on "${gig.title}"`,
+        data: { gigId: gig._id, invitationId: invitation._id },
+      })
+    } else {
+      // The invitation stands either way: the invitee finds it once they sign up
+      await sendGigInvitationEmail(invitation.email, gig, inviter).catch((err) =>
+        logger.error("invitation email failed", { err, invitationId: invitation._id.toString() }),
+      )
+    }
+  }
+
+  return invitations
+}
+
+// Mark the invitations a freelancer received for a gig as accepted once they bid
+export const acceptInvitations = (gigId, user) =>
+  Invitation.updateMany({ gigId, status: "pending", ...invitationsFor(user) }, { $set: { status: "accepted" } })
@@ -0,0 +1,121 @@
+import mongoose from "mongoose"
+import LedgerTransaction from "../models/LedgerTransaction.model.js"
+import Contract from "../models/Contract.model.js"
+
+// Internal double-entry ledger. This stands in for a real payment provider:
+//
+//   fund     owner external  -> owner escrow       (owner pays money in)
+//   release  owner escrow    -> freelancer earnings
+//   refund   owner escrow    -> owner external     (money goes back out)
+//
+// An account's balance is debits minus credits, so the sum over all accounts
+// is always zero.
+
+// Milestone states whose money is currently held in escrow
+export const ESCROWED_MILESTONE_STATUSES = ["funded", "submitted", "changes_requested"]
+
+export const toCents = (amount) => Math.round(amount * 100)
+
+export const fromCents = (cents) => cents / 100
+
+const transfer = (type, { contract, milestone, from, to, memo }, session) =>
+  LedgerTransaction.create(
+    [
+      {
+        type,
+        contractId: contract._id,
+        milestoneId: milestone._id,
+        memo,
+        entries: [
+          { account: to.account, userId: to.userId, debit: toCents(milestone.amount) },
+          { account: from.account, userId: from.userId, credit: toCents(milestone.amount) },
+        ],
+      },
+    ],
+    { session },
+  )
+
+// Move a milestone's amount from the owner into escrow
+export const recordFunding = (contract, milestone, session) =>
+  transfer(
+    "fund",
+    {
+      contract,
+      milestone,
+      from: { account: "external", userId: contract.ownerId },
+      to: { account: "escrow", userId: contract.ownerId },
+      memo: `Funded milestone "${milestone.title}"`,
+    },
+    session,
+  )
+
+// Pay a milestone's escrowed amount out to the freelancer
+export const recordRelease = (contract, milestone, session) =>
+  transfer(
+    "release",
+    {
+      contract,
+      milestone,
+      from: { account: "escrow", userId: contract.ownerId },
+      to: { account: "earnings", userId: contract.freelancerId },
+      memo: `Released milestone "${milestone.title}"`,
+    },
+    session,
+  )
+
+// Return a milestone's escrowed amount to the owner
+export const recordRefund = (contract, milestone, session) =>
+  transfer(
+    "refund",
+    {
+      contract,
+      milestone,
+      from: { account: "escrow", userId: contract.ownerId },
+      to: { account: "external", userId: contract.ownerId },
+      memo: `Refunded milestone "${milestone.title}"`,
+    },
+    session,
+  )
+
+// Per-account balances for a user, plus a reconciliation check of the
+// escrow account against the milestones it is supposed to be holding
+export const getBalances = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId)
+
+  const [rows, contracts] = await Promise.all([
+    LedgerTransaction.aggregate([
+      { $match: { "entries.userId": id } },
+      { $unwind: "$entries" },
+      { $match: { "entries.userId": id } },
+      {
+        $group: {
+          _id: "$entries.account",
+          balance: { $sum: { $subtract: ["$entries.debit", "$entries.credit"] } },
+        },
+      },
+    ]),
+    Contract.find({ ownerId: id }).select("milestones.amount milestones.status"),
+  ])
+
+  const cents = { external: 0, escrow: 0, earnings: 0 }
+  for (const row of rows) {
+    cents[row._id] = row.balance
+  }
+
+  let expectedEscrow = 0
+  for (const contract of contracts) {
+    for (const milestone of contract.milestones) {
+      if (ESCROWED_MILESTONE_STATUSES.includes(milestone.status)) {
+        expectedEscrow += toCents(milestone.amount)
+      }
+    }
+  }
+
+  return {
+    // Money paid in is a credit on the external account
+    paidIn: fromCents(-cents.external),
+    inEscrow: fromCents(cents.escrow),
+    earnings: fromCents(cents.earnings),
+    reconciled: cents.escrow === expectedEscrow,
+  }
+}
@@ -0,0 +1,66 @@
+import fs from "fs/promises"
+import path from "path"
+import { config } from "../config/index.js"
+import { logger } from "../utils/logger.js"
+
+// A mail transport is any object with `send({ to, subject, text, html })`
+// returning a promise. The console and file transports below are meant for
+// local development and tests; a real provider (SMTP, SES...) can be plugged
+// in with setMailTransport().
+
+export const createConsoleTransport = () => ({
+  name: "console",
+  async send({ to, subject, text }) {
+    logger.info("mail sent", { transport: "console", to, subject, text })
+  },
+})
+
+// Writes every message as a JSON file, handy for inspecting links locally
+export const createFileTransport = (directory) => ({
+  name: "file",
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true })
+    const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`
+    await fs.writeFile(
+      path.join(directory, filename),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2),
+    )
+  },
+})
+
+const createDefaultTransport = () =>
+  config.mail.transport === "file" ? createFileTransport(path.resolve(config.mail.dir)) : createConsoleTransport()
+
+let transport = null
+
+export const setMailTransport = (customTransport) => {
+  transport = customTransport
+}
+
+export const sendMail = (message) => {
+  transport = transport || createDefaultTransport()
+  return transport.send({ from: config.mail.from, ...message })
+}
+
+const clientUrl = (pathname, token) => `${config.clientUrl}${pathname}?token=${encodeURIComponent(token)}`
+
+export const sendVerificationEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: "Verify your GigFlow email address",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${clientUrl("/verify-email", token)}\n\nThe link expires in 24 hours.`,
+  })
+
+export const sendPasswordResetEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: "Reset your GigFlow password",
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you, open this link:\n${clientUrl("/reset-password", token)}\n\nThe link expires in 1 hour. If you didn't ask for this you can ignore this email.`,
+  })
+
+export const sendGigInvitationEmail = (email, gig, inviter) =>
+  sendMail({
+    to: email,
+    subject: `${inviter.name} invited you to bid on "${gig.title}"`,
+    text: `Hi,\n\n${inviter.name} would like you to bid on "${gig.title}" on GigFlow. Log in or sign up with this email address to see the gig:\n${config.clientUrl}/gigs/${gig._id}`,
+  })
@@ -0,0 +1,35 @@
+import Notification from "../models/Notification.model.js"
+import User from "../models/User.model.js"
+import { logger } from "../utils/logger.js"
+
+export const unreadCountFor = (userId) => Notification.countDocuments({ userId, readAt: null })
+
+// Store a notification for a user and push it to them if they are online.
+// Types the user has switched off are skipped. Never throws: a failed
+// notification must not fail the request that triggered it.
+export const notify = async (io, userId, { type, title, message, data }) => {
+  try {
+    const user = await User.findById(userId).select("notificationPreferences")
+
+    if (!user || user.notificationPreferences?.get(type) === false) {
+      return null
+    }
+
+    const notification = await Notification.create({ userId, type, title, message, data })
+
+    if (io) {
+      io.to(`user:${userId}`).emit("notification", {
+        notification,
+        unreadCount: await unreadCountFor(userId),
+      })
+    }
+
+    return notification
+  } catch (error) {
+    logger.error("notification failed", { err: error, type })
+    return null
+  }
+}
+
+// Send the same notification to several users
+export const notifyMany = (io, userIds, payload) => Promise.all(userIds.map((userId) => notify(io, userId, payload)))
@@ -0,0 +1,72 @@
+import Bid from "../models/Bid.model.js"
+import Contract from "../models/Contract.model.js"
+import Gig from "../models/Gig.model.js"
+import { hasRole, isSameUser } from "../middleware/authorize.middleware.js"
+
+// How many finished gigs to list in a profile's completion history
+const COMPLETION_HISTORY_LIMIT = 10
+
+// The profile as anyone may see it. Email is added by the caller only for
+// the user themselves or someone they have a contract with.
+export const serializeProfile = (user) => ({
+  id: user._id,
+  name: user.name,
+  headline: user.headline,
+  bio: user.bio,
+  hourlyRate: user.hourlyRate,
+  location: user.location,
+  timezone: user.timezone,
+  avatarUrl: user.avatarUrl,
+  portfolio: user.portfolio,
+  skills: user.skills,
+  roles: user.roles,
+  reputation: user.reputation,
+  memberSince: user.createdAt,
+})
+
+// Whether two users have been on opposite sides of a contract (either hired the other)
+export const hasHireRelationship = async (userId, otherUserId) => {
+  const contract = await Contract.exists({
+    $or: [
+      { ownerId: userId, freelancerId: otherUserId },
+      { ownerId: otherUserId, freelancerId: userId },
+    ],
+  })
+
+  return Boolean(contract)
+}
+
+// Activity counters plus the most recently finished gigs the user was a
+// contract party on, newest first. Other viewers (`viewer` is null for
+// guests) only see gigs that are neither invite-only nor hidden by moderators.
+export const getProfileStats = async (userId, viewer) => {
+  const [gigsPosted, bidsWon, contracts] = await Promise.all([
+    Gig.countDocuments({ ownerId: userId }),
+    Bid.countDocuments({ freelancerId: userId, status: "hired" }),
+    Contract.find({ $or: [{ ownerId: userId }, { freelancerId: userId }] }).select("gigId ownerId"),
+  ])
+
+  const roleByGig = new Map(
+    contracts.map((contract) => [contract.gigId.toString(), contract.ownerId.equals(userId) ? "client" : "freelancer"]),
+  )
+
+  const seesEverything = isSameUser(userId, viewer) || hasRole(viewer, "admin")
+  const finishedGigs = await Gig.find({
+    _id: { $in: contracts.map((contract) => contract.gigId) },
+    status: { $in: ["completed", "cancelled"] },
+    ...(!seesEverything && { visibility: { $ne: "invite_only" }, hiddenAt: null }),
+  })
+    .select("title status statusHistory updatedAt")
+    .sort({ updatedAt: -1 })
+    .limit(COMPLETION_HISTORY_LIMIT)
+
+  const completionHistory = finishedGigs.map((gig) => ({
+    gigId: gig._id,
+    title: gig.title,
+    role: roleByGig.get(gig._id.toString()),
+    outcome: gig.status,
+    finishedAt: gig.statusHistory.findLast((entry) => entry.status === gig.status)?.changedAt ?? gig.updatedAt,
+  }))
+
+  return { gigsPosted, bidsWon, completionHistory }
+}
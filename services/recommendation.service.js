@@ -0,0 +1,64 @@
+import Gig from "../models/Gig.model.js"
+import Bid from "../models/Bid.model.js"
+
+// How many of the newest open gigs are considered for ranking
+const CANDIDATE_LIMIT = 200
+
+const WEIGHTS = { skills: 0.6, budget: 0.25, recency: 0.15 }
+
+// Recency halves every week
+const RECENCY_HALF_LIFE_MS = 7 * 24 * 60 * 60 * 1000
+
+const median = (values) => {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+// Rank open gigs for a freelancer by skill overlap, budget fit and recency.
+// Gigs they own or have already bid on are never recommended.
+export const recommendGigsFor = async (user, { limit = 20 } = {}) => {
+  const previousBids = await Bid.find({ freelancerId: user._id }).select("gigId price")
+  const userSkills = new Set((user.skills || []).map(String))
+
+  const filter = {
+    status: "open",
+    hiddenAt: null,
+    visibility: "public",
+    ownerId: { $ne: user._id },
+    _id: { $nin: previousBids.map((bid) => bid.gigId) },
+  }
+
+  // Prefer gigs that share at least one skill when the user has declared any
+  if (userSkills.size) {
+    filter.skills = { $in: [...userSkills] }
+  }
+
+  let candidates = await Gig.find(filter).sort({ createdAt: -1 }).limit(CANDIDATE_LIMIT)
+
+  if (!candidates.length && userSkills.size) {
+    delete filter.skills
+    candidates = await Gig.find(filter).sort({ createdAt: -1 }).limit(CANDIDATE_LIMIT)
+  }
+
+  // Budget fit compares against the price the freelancer usually asks for
+  const typicalPrice = median(previousBids.map((bid) => bid.price))
+  const now = Date.now()
+
+  const ranked = candidates.map((gig) => {
+    const matchedSkills = gig.skills.filter((skill) => userSkills.has(skill.toString()))
+    const skillScore = gig.skills.length ? matchedSkills.length / gig.skills.length : 0
+    const budgetScore = typicalPrice ? Math.min(gig.budget / typicalPrice, 1) : 0.5
+    const recencyScore = Math.pow(0.5, (now - gig.createdAt.getTime()) / RECENCY_HALF_LIFE_MS)
+
+    const score =
+      WEIGHTS.skills * skillScore + WEIGHTS.budget * budgetScore + WEIGHTS.recency * recencyScore
+
+    return { gig, score: Math.round(score * 1000) / 1000, matchedSkills }
+  })
+
+  ranked.sort((a, b) => b.score - a.score || b.gig.createdAt - a.gig.createdAt)
+
+  return ranked.slice(0, limit)
+}
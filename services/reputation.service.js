@@ -0,0 +1,59 @@
+import Review from "../models/Review.model.js"
+import Contract from "../models/Contract.model.js"
+import Gig from "../models/Gig.model.js"
+import User from "../models/User.model.js"
+import Bid from "../models/Bid.model.js"
+
+// Fields to populate wherever a user is shown next to a gig or bid. Email is
+// left out; it is only shared between parties to a contract.
+export const PUBLIC_USER_FIELDS = "name headline avatarUrl reputation"
+
+// Recompute a user's aggregated reputation from their reviews and the
+// outcome of every gig they were a contract party on
+export const refreshReputation = async (userId) => {
+  const [ratings] = await Review.aggregate([
+    { $match: { revieweeId: userId } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ])
+
+  const contracts = await Contract.find({ $or: [{ ownerId: userId }, { freelancerId: userId }] }).select("gigId")
+  const outcomes = await Gig.aggregate([
+    {
+      $match: {
+        _id: { $in: contracts.map((contract) => contract.gigId) },
+        status: { $in: ["completed", "cancelled"] },
+      },
+    },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ])
+
+  const completedGigs = outcomes.find((row) => row._id === "completed")?.count || 0
+  const cancelledGigs = outcomes.find((row) => row._id === "cancelled")?.count || 0
+  const finished = completedGigs + cancelledGigs
+
+  const reputation = {
+    average: ratings ? Math.round(ratings.average * 100) / 100 : 0,
+    count: ratings?.count || 0,
+    completedGigs,
+    cancelledGigs,
+    completionRate: finished ? Math.round((completedGigs / finished) * 100) / 100 : null,
+  }
+
+  await User.updateOne({ _id: userId }, { $set: { reputation } })
+
+  // Keep the sortable rating snapshot on their bids in step
+  await Bid.updateMany({ freelancerId: userId }, { $set: { freelancerRating: reputation.average } })
+
+  return reputation
+}
+
+// Refresh both parties once a gig with a contract reaches a final state
+export const refreshReputationForGig = async (gigId) => {
+  const contract = await Contract.findOne({ gigId }).select("ownerId freelancerId")
+
+  if (!contract) {
+    return
+  }
+
+  await Promise.all([refreshReputation(contract.ownerId), refreshReputation(contract.freelancerId)])
+}
@@ -0,0 +1,102 @@
+import Gig from "../models/Gig.model.js"
+import SavedSearch from "../models/SavedSearch.model.js"
+import { notify } from "./notification.service.js"
+import { buildGigFilter } from "../utils/gigQuery.js"
+import { buildPartialMatchFilter } from "../utils/gigSearch.js"
+import { logger } from "../utils/logger.js"
+
+const DIGEST_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+}
+
+const DIGEST_PREVIEW_SIZE = 10
+
+// Mongo filter for open gigs matching a saved search. Keywords use the
+// partial-word matcher so alerts never depend on text index stemming.
+export const buildSavedSearchFilter = ({ search, filters = {} }) => ({
+  ...buildGigFilter({
+    status: "open",
+    category: filters.categoryId || undefined,
+    skills: filters.skills?.length ? filters.skills : undefined,
+    minBudget: filters.minBudget ?? undefined,
+    maxBudget: filters.maxBudget ?? undefined,
+  }),
+  ...(search ? buildPartialMatchFilter(search) : {}),
+})
+
+// Alert everyone whose saved search matches a newly created gig.
+// Never throws: alerts must not fail gig creation.
+export const notifySavedSearchMatches = async (io, gig) => {
+  try {
+    // Narrow down in the database on the cheap fields first
+    const candidates = await SavedSearch.find({
+      alerts: true,
+      userId: { $ne: gig.ownerId },
+      $and: [
+        { $or: [{ "filters.minBudget": null }, { "filters.minBudget": { $lte: gig.budget } }] },
+        { $or: [{ "filters.maxBudget": null }, { "filters.maxBudget": { $gte: gig.budget } }] },
+        { $or: [{ "filters.categoryId": null }, { "filters.categoryId": gig.categoryId }] },
+      ],
+    })
+
+    const alerted = new Set()
+
+    for (const savedSearch of candidates) {
+      const userId = savedSearch.userId.toString()
+      if (alerted.has(userId)) continue
+
+      const matches = await Gig.exists({ _id: gig._id, ...buildSavedSearchFilter(savedSearch) })
+      if (!matches) continue
+
+      alerted.add(userId)
+      await notify(io, savedSearch.userId, {
+        type: "saved_search_match",
+        title: `New gig matching "${savedSearch.name}"`,
+        message: `"${gig.title}" was just posted with a budget of $${gig.budget}`,
+        data: { gigId: gig._id, savedSearchId: savedSearch._id },
+      })
+    }
+  } catch (error) {
+    logger.error("saved search alert failed", { err: error })
+  }
+}
+
+// Send a digest for every saved search whose period has elapsed
+export const runSavedSearchDigests = async (io, now = new Date()) => {
+  let sent = 0
+
+  for (const [frequency, period] of Object.entries(DIGEST_PERIOD_MS)) {
+    const cutoff = new Date(now.getTime() - period)
+
+    const due = await SavedSearch.find({
+      digest: frequency,
+      $or: [{ lastDigestAt: { $lte: cutoff } }, { lastDigestAt: null, createdAt: { $lte: cutoff } }],
+    })
+
+    for (const savedSearch of due) {
+      const since = savedSearch.lastDigestAt || savedSearch.createdAt
+      const filter = { ...buildSavedSearchFilter(savedSearch), createdAt: { $gt: since, $lte: now } }
+
+      const [gigs, total] = await Promise.all([
+        Gig.find(filter).select("title budget").sort({ createdAt: -1 }).limit(DIGEST_PREVIEW_SIZE),
+        Gig.countDocuments(filter),
+      ])
+
+      if (total > 0) {
+        await notify(io, savedSearch.userId, {
+          type: "saved_search_digest",
+          title: `${total} new gig${total === 1 ? "" : "s"} for "${savedSearch.name}"`,
+          message: gigs.map((gig) => gig.title).join(", "),
+          data: { savedSearchId: savedSearch._id, gigIds: gigs.map((gig) => gig._id), total },
+        })
+        sent += 1
+      }
+
+      savedSearch.lastDigestAt = now
+      await savedSearch.save()
+    }
+  }
+
+  return sent
+}
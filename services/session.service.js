@@ -0,0 +1,115 @@
+import crypto from "crypto"
+import mongoose from "mongoose"
+import { config } from "../config/index.js"
+import Session from "../models/Session.model.js"
+import { logger } from "../utils/logger.js"
+
+// Access tokens are short-lived JWTs, refresh tokens rotate on every use
+export const ACCESS_TOKEN_TTL_SECONDS = config.jwt.accessTtlSeconds
+export const REFRESH_TOKEN_TTL_SECONDS = config.jwt.refreshTtlSeconds
+
+// Only keep enough rotated hashes to catch a replayed token
+const MAX_PREVIOUS_HASHES = 20
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex")
+
+const newSecret = () => crypto.randomBytes(48).toString("base64url")
+
+// Refresh tokens look like "<sessionId>.<secret>"
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".")
+  if (!mongoose.isValidObjectId(sessionId) || !secret) return null
+  return { sessionId, secret }
+}
+
+// Start a session for a freshly authenticated user
+export const createSession = async (userId, { userAgent, ip }) => {
+  const secret = newSecret()
+
+  const session = await Session.create({
+    userId,
+    tokenHash: hashToken(secret),
+    userAgent: userAgent || "",
+    ip: ip || "",
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+  })
+
+  return { session, refreshToken: `${session._id}.${secret}` }
+}
+
+// Exchange a refresh token for a new one. Presenting an already rotated
+// token means it was stolen or replayed, so the whole session is revoked.
+// Resolves with { session, refreshToken } or null if the token is not valid.
+export const rotateRefreshToken = async (refreshToken, { ip }) => {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) return null
+
+  const presentedHash = hashToken(parsed.secret)
+  const secret = newSecret()
+
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: hashToken(secret), lastUsedAt: new Date(), ...(ip && { ip }) },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_HASHES } },
+    },
+    { new: true },
+  )
+
+  if (session) {
+    return { session, refreshToken: `${session._id}.${secret}` }
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, previousTokenHashes: presentedHash, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "reuse_detected" } },
+  )
+
+  if (reused) {
+    logger.warn("refresh token reuse detected, session revoked", { sessionId: reused._id.toString() })
+  }
+
+  return null
+}
+
+export const findActiveSession = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null
+  const session = await Session.findById(sessionId)
+  return session?.isActive() ? session : null
+}
+
+// Live sockets join a room per session, so revoking a session can drop them
+export const sessionRoom = (sessionId) => `session:${sessionId}`
+
+// Revoke one session. Pass `io` to drop its live sockets straight away rather
+// than when their access token expires.
+export const revokeSession = async (userId, sessionId, reason, { io } = {}) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true },
+  )
+
+  if (session) {
+    io?.in(sessionRoom(session._id)).disconnectSockets(true)
+  }
+
+  return session
+}
+
+export const revokeAllSessions = async (userId, reason, { exceptSessionId, io } = {}) => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  )
+
+  if (io) {
+    const sockets = io.in(`user:${userId}`)
+    ;(exceptSessionId ? sockets.except(sessionRoom(exceptSessionId)) : sockets).disconnectSockets(true)
+  }
+
+  return result
+}
+
+export const listActiveSessions = (userId) =>
+  Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 })
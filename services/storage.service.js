@@ -0,0 +1,51 @@
+import fs from "fs"
+import fsp from "fs/promises"
+import path from "path"
+import { config } from "../config/index.js"
+
+// A storage driver is any object with
+//   save(key, buffer)          -> promise, stores the bytes under `key`
+//   createReadStream(key)      -> readable stream of the stored bytes
+//   remove(key)                -> promise, succeeds if the key is already gone
+// Keys are generated by the attachment service and look like
+// "gig/<uuid>.pdf". The local driver below keeps files on disk; an
+// object store (S3, GCS...) can be plugged in with setStorageDriver().
+
+export const createLocalStorage = (directory) => {
+  const root = path.resolve(directory)
+
+  // Keys never contain "..", but refuse anything that would escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key)
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key "${key}"`)
+    }
+    return filePath
+  }
+
+  return {
+    name: "local",
+    async save(key, buffer) {
+      const filePath = resolveKey(key)
+      await fsp.mkdir(path.dirname(filePath), { recursive: true })
+      await fsp.writeFile(filePath, buffer, { flag: "wx" })
+    },
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key))
+    },
+    async remove(key) {
+      await fsp.rm(resolveKey(key), { force: true })
+    },
+  }
+}
+
+let driver = null
+
+export const setStorageDriver = (customDriver) => {
+  driver = customDriver
+}
+
+export const getStorage = () => {
+  driver = driver || createLocalStorage(config.storage.dir)
+  return driver
+}
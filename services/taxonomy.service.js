@@ -0,0 +1,36 @@
+import mongoose from "mongoose"
+import Category from "../models/Category.model.js"
+import Skill from "../models/Skill.model.js"
+import { BadRequestError } from "../utils/errors.js"
+
+// Validate a list of skill ids and return them de-duplicated.
+// Throws a 400 if any id is malformed or unknown.
+export const resolveSkillIds = async (skills) => {
+  if (!Array.isArray(skills)) {
+    throw new BadRequestError("skills must be an array of skill ids")
+  }
+
+  const ids = [...new Set(skills.map(String))]
+
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) {
+    throw new BadRequestError("skills must be an array of skill ids")
+  }
+
+  const found = await Skill.countDocuments({ _id: { $in: ids } })
+  if (found !== ids.length) {
+    throw new BadRequestError("One or more skills do not exist")
+  }
+
+  return ids
+}
+
+// Validate a category id, allowing null to clear it
+export const resolveCategoryId = async (categoryId) => {
+  if (categoryId === null || categoryId === "") return null
+
+  if (!mongoose.isValidObjectId(categoryId) || !(await Category.exists({ _id: categoryId }))) {
+    throw new BadRequestError("Category does not exist")
+  }
+
+  return categoryId
+}
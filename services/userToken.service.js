@@ -0,0 +1,41 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import { config } from "../config/index.js"
+import UserToken from "../models/UserToken.model.js"
+
+const TOKEN_TTL_SECONDS = {
+  verify_email: 24 * 60 * 60,
+  reset_password: 60 * 60,
+}
+
+// Issue a signed single-use token. Any earlier unused token for the same
+// purpose stops working.
+export const issueUserToken = async (userId, purpose) => {
+  const jti = crypto.randomUUID()
+  const ttl = TOKEN_TTL_SECONDS[purpose]
+
+  await UserToken.deleteMany({ userId, purpose, usedAt: null })
+  await UserToken.create({ userId, purpose, jti, expiresAt: new Date(Date.now() + ttl * 1000) })
+
+  return jwt.sign({ sub: userId.toString(), purpose, jti }, config.jwt.secret, { expiresIn: ttl })
+}
+
+// Check a token's signature and purpose and burn it.
+// Resolves with the user id, or null if the token is invalid, expired or used.
+export const consumeUserToken = async (token, purpose) => {
+  let payload
+  try {
+    payload = jwt.verify(String(token || ""), config.jwt.secret)
+  } catch {
+    return null
+  }
+
+  if (payload.purpose !== purpose || !payload.jti) return null
+
+  const record = await UserToken.findOneAndUpdate(
+    { jti: payload.jti, purpose, userId: payload.sub, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+  )
+
+  return record ? record.userId : null
+}
@@ -0,0 +1,13 @@
+import User from "../models/User.model.js"
+
+// Accounts created before email verification existed have no emailVerified
+// field stored at all (Mongoose only fills in the default when reading one).
+// They could post gigs and bids before, so they are marked verified instead
+// of being locked out. Safe to run on every start. Resolves with the count.
+export const verifyPreexistingAccounts = async () => {
+  const { modifiedCount } = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } },
+  )
+  return modifiedCount
+}
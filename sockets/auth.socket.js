@@ -0,0 +1,63 @@
+import { parse as parseCookie } from "cookie"
+import { authenticateToken, extractToken } from "../middleware/auth.middleware.js"
+import { sessionRoom } from "../services/session.service.js"
+
+// Handshake middleware: authenticates the connection with the same token
+// `protect` accepts, from `auth.token`, the cookie header or a Bearer header.
+export const socketAuth = async (socket, next) => {
+  try {
+    const { auth, headers } = socket.handshake
+
+    const token =
+      auth?.token ||
+      extractToken({
+        cookies: headers.cookie ? parseCookie(headers.cookie) : {},
+        authorization: headers.authorization,
+      })
+
+    if (!token) {
+      return next(new Error("Not authorized, no token provided"))
+    }
+
+    const { user, decoded } = await authenticateToken(token)
+
+    if (!user) {
+      return next(new Error("Not authorized, user not found"))
+    }
+
+    if (user.suspendedAt) {
+      return next(new Error("Your account has been suspended"))
+    }
+
+    socket.data.user = user
+    socket.data.userId = user._id.toString()
+    socket.data.sessionId = decoded.sid
+    socket.data.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null
+
+    next()
+  } catch (error) {
+    next(new Error("Not authorized, token invalid or expired"))
+  }
+}
+
+// Join the caller's own room and their session's room (so revoking the
+// session disconnects them), and drop the connection once the token expires
+export const registerSessionHandlers = (io, socket) => {
+  const room = `user:${socket.data.userId}`
+  socket.join([room, sessionRoom(socket.data.sessionId)])
+
+  // Kept for older clients: the payload is ignored, only the caller's own room is joined
+  socket.on("join", () => socket.join(room))
+
+  const { tokenExpiresAt } = socket.data
+  if (tokenExpiresAt) {
+    // setTimeout overflows past ~24.8 days, cap it and let the client reconnect
+    const delay = Math.min(Math.max(tokenExpiresAt - Date.now(), 0), 2 ** 31 - 1)
+    const timer = setTimeout(() => {
+      socket.emit("auth:expired")
+      socket.disconnect(true)
+    }, delay)
+
+    socket.on("disconnect", () => clearTimeout(timer))
+  }
+}
@@ -0,0 +1,30 @@
+import mongoose from "mongoose"
+import Conversation from "../models/Conversation.model.js"
+import { logger } from "../utils/logger.js"
+
+// Real-time chat events. Message delivery and read receipts are pushed from
+// the REST controllers; typing indicators only ever travel over the socket.
+export const registerChatHandlers = (io, socket) => {
+  const relayTyping = (isTyping) => async (payload) => {
+    try {
+      const userId = socket.data.userId
+      const conversationId = payload?.conversationId
+
+      if (!userId || !mongoose.isValidObjectId(conversationId)) return
+
+      const conversation = await Conversation.findById(conversationId).select("ownerId freelancerId")
+      if (!conversation || !conversation.roleOf(userId)) return
+
+      io.to(`user:${conversation.otherParticipant(userId)}`).emit("typing", {
+        conversationId,
+        userId,
+        isTyping,
+      })
+    } catch (error) {
+      logger.error("typing relay failed", { err: error })
+    }
+  }
+
+  socket.on("typing:start", relayTyping(true))
+  socket.on("typing:stop", relayTyping(false))
+}
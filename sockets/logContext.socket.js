@@ -0,0 +1,22 @@
+import { randomUUID } from "crypto"
+import { logger, runWithContext } from "../utils/logger.js"
+import { socketConnectionsActive } from "../utils/metrics.js"
+
+// Give every inbound event its own correlation id so log lines written while
+// handling it can be tied together, like the request id for HTTP requests.
+// Register before the other handlers so their middleware runs inside it.
+export const registerLogContext = (socket) => {
+  const base = { socketId: socket.id, userId: socket.data.userId }
+
+  socketConnectionsActive.inc()
+  logger.info("socket connected", base)
+
+  socket.on("disconnect", (reason) => {
+    socketConnectionsActive.dec()
+    logger.info("socket disconnected", { ...base, reason })
+  })
+
+  socket.use(([event], next) => {
+    runWithContext({ requestId: randomUUID(), ...base, event }, next)
+  })
+}
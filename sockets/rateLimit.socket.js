@@ -0,0 +1,39 @@
+// Per-socket limits on inbound events, as a fixed window per event name.
+// Events without their own limit share one window, so clients can't get a
+// fresh budget (or grow the map) by making up event names.
+const DEFAULT_LIMIT = { max: 30, windowMs: 10 * 1000 }
+
+const EVENT_LIMITS = {
+  join: { max: 5, windowMs: 60 * 1000 },
+  "typing:start": { max: 10, windowMs: 10 * 1000 },
+  "typing:stop": { max: 10, windowMs: 10 * 1000 },
+}
+
+export const registerRateLimit = (socket) => {
+  const windows = new Map()
+
+  socket.use(([event], next) => {
+    const key = Object.hasOwn(EVENT_LIMITS, event) ? event : "*"
+    const { max, windowMs } = EVENT_LIMITS[key] || DEFAULT_LIMIT
+    const now = Date.now()
+
+    let window = windows.get(key)
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs }
+      windows.set(key, window)
+    }
+
+    window.count += 1
+
+    if (window.count > max) {
+      // Drop the event and tell the client when it may try again
+      socket.emit("rate_limited", {
+        event,
+        retryAfter: Math.ceil((window.resetAt - now) / 1000),
+      })
+      return
+    }
+
+    next()
+  })
+}
@@ -0,0 +1,171 @@
+import { after, before, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { Readable } from "stream"
+import request from "supertest"
+import { startTestApp, clearDatabase, createUser, createGig, createBid } from "./helpers.js"
+import Attachment from "../models/Attachment.model.js"
+import Gig from "../models/Gig.model.js"
+import { setStorageDriver } from "../services/storage.service.js"
+
+// Keeps files in a Map so tests can see what was stored and removed
+const createMemoryStorage = () => {
+  const files = new Map()
+  return {
+    files,
+    async save(key, buffer) {
+      files.set(key, buffer)
+    },
+    createReadStream(key) {
+      return Readable.from([files.get(key)])
+    },
+    async remove(key) {
+      files.delete(key)
+    },
+  }
+}
+
+const pdf = (agent, url, name = "brief.pdf") =>
+  agent.post(url).attach("files", Buffer.from("%PDF-1.4 test"), { filename: name, contentType: "application/pdf" })
+
+describe("attachments", () => {
+  let app, stop, storage
+
+  before(async () => {
+    ;({ app, stop } = await startTestApp())
+  })
+
+  after(async () => {
+    await stop()
+  })
+
+  beforeEach(async () => {
+    await clearDatabase()
+    storage = createMemoryStorage()
+    setStorageDriver(storage)
+  })
+
+  it("lets the gig owner attach files that anyone can download", async () => {
+    const { agent: owner } = await createUser(app)
+    const gig = await createGig(owner)
+
+    const res = await pdf(owner, `/api/gigs/${gig._id}/attachments`).expect(201)
+    const [attachment] = res.body.attachments
+    assert.equal(attachment.originalName, "brief.pdf")
+    assert.equal(attachment.storageKey, undefined)
+
+    const list = await request(app).get(`/api/gigs/${gig._id}/attachments`).expect(200)
+    assert.equal(list.body.count, 1)
+
+    const download = await request(app).get(`/api/attachments/${attachment._id}`).buffer(true).expect(200)
+    assert.equal(download.headers["content-type"], "application/pdf")
+    assert.match(download.headers["content-disposition"], /^attachment; filename="brief.pdf"/)
+  })
+
+  it("hides the files of a gig hidden by moderators", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: stranger } = await createUser(app)
+    const gig = await createGig(owner)
+
+    const res = await pdf(owner, `/api/gigs/${gig._id}/attachments`).expect(201)
+    const id = res.body.attachments[0]._id
+    await Gig.updateOne({ _id: gig._id }, { hiddenAt: new Date(), hiddenReason: "spam" })
+
+    await request(app).get(`/api/gigs/${gig._id}/attachments`).expect(404)
+    await request(app).get(`/api/attachments/${id}`).expect(401)
+    await stranger.get(`/api/attachments/${id}`).expect(403)
+
+    await owner.get(`/api/gigs/${gig._id}/attachments`).expect(200)
+    await owner.get(`/api/attachments/${id}`).expect(200)
+  })
+
+  it("only lets the gig owner upload to a gig", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: stranger } = await createUser(app)
+    const gig = await createGig(owner)
+
+    await pdf(stranger, `/api/gigs/${gig._id}/attachments`).expect(403)
+    assert.equal(storage.files.size, 0)
+  })
+
+  it("refuses file types that are not allowed", async () => {
+    const { agent: owner } = await createUser(app)
+    const gig = await createGig(owner)
+
+    const res = await owner
+      .post(`/api/gigs/${gig._id}/attachments`)
+      .attach("files", Buffer.from("<script></script>"), { filename: "x.html", contentType: "text/html" })
+      .expect(415)
+    assert.equal(res.body.code, "UNSUPPORTED_FILE_TYPE")
+  })
+
+  it("shares bid files with the gig owner only", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: freelancer } = await createUser(app, { roles: ["freelancer"] })
+    const { agent: stranger } = await createUser(app)
+    const gig = await createGig(owner)
+    const bid = await createBid(freelancer, gig._id)
+
+    const res = await pdf(freelancer, `/api/bids/${bid._id}/attachments`, "proposal.pdf").expect(201)
+    const id = res.body.attachments[0]._id
+
+    await owner.get(`/api/attachments/${id}`).expect(200)
+    await freelancer.get(`/api/attachments/${id}`).expect(200)
+    await stranger.get(`/api/attachments/${id}`).expect(403)
+    await request(app).get(`/api/attachments/${id}`).expect(401)
+
+    await owner.get(`/api/bids/${bid._id}/attachments`).expect(200)
+    await stranger.get(`/api/bids/${bid._id}/attachments`).expect(403)
+  })
+
+  it("accepts deliverables for a funded milestone from the hired freelancer", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: freelancer } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner)
+    const bid = await createBid(freelancer, gig._id)
+
+    const hire = await owner.patch(`/api/bids/${bid._id}/hire`).send({}).expect(200)
+    const contract = hire.body.contract
+    const [milestone] = contract.milestones
+    const url = `/api/contracts/${contract._id}/milestones/${milestone._id}/attachments`
+
+    // Not funded yet
+    await pdf(freelancer, url, "work.pdf").expect(409)
+
+    await owner.patch(`/api/contracts/${contract._id}/milestones/${milestone._id}/fund`).send({}).expect(200)
+    await pdf(owner, url, "work.pdf").expect(403)
+    const res = await pdf(freelancer, url, "work.pdf").expect(201)
+
+    const list = await owner.get(`/api/contracts/${contract._id}/attachments`).expect(200)
+    assert.equal(list.body.count, 1)
+    await owner.get(`/api/attachments/${res.body.attachments[0]._id}`).expect(200)
+  })
+
+  it("removes a bid's files when the bid is deleted", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: freelancer } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner)
+    const bid = await createBid(freelancer, gig._id)
+
+    await pdf(freelancer, `/api/bids/${bid._id}/attachments`).expect(201)
+    assert.equal(storage.files.size, 1)
+
+    await freelancer.delete(`/api/bids/${bid._id}`).expect(200)
+    assert.equal(storage.files.size, 0)
+    assert.equal(await Attachment.countDocuments(), 0)
+  })
+
+  it("removes every file of a gig when the gig is deleted", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: freelancer } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner)
+    const bid = await createBid(freelancer, gig._id)
+
+    await pdf(owner, `/api/gigs/${gig._id}/attachments`).expect(201)
+    await pdf(freelancer, `/api/bids/${bid._id}/attachments`).expect(201)
+    assert.equal(storage.files.size, 2)
+
+    await owner.delete(`/api/gigs/${gig._id}`).expect(200)
+    assert.equal(storage.files.size, 0)
+    assert.equal(await Attachment.countDocuments(), 0)
+  })
+})
@@ -0,0 +1,144 @@
+import { after, before, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import request from "supertest"
+import { startTestApp, clearDatabase, createUser } from "./helpers.js"
+import User from "../models/User.model.js"
+import { setMailTransport } from "../services/mail.service.js"
+import { verifyPreexistingAccounts } from "../services/verification.service.js"
+
+describe("auth", () => {
+  let app, stop
+
+  before(async () => {
+    ;({ app, stop } = await startTestApp())
+  })
+
+  after(async () => {
+    await stop()
+  })
+
+  beforeEach(clearDatabase)
+
+  it("registers a user and keeps them signed in with cookies", async () => {
+    const { agent, user } = await createUser(app, { verified: false })
+
+    assert.equal(user.emailVerified, false)
+    assert.deepEqual(user.roles, ["client", "freelancer"])
+
+    const res = await agent.get("/api/auth/me").expect(200)
+    assert.equal(res.body.user.email, user.email)
+  })
+
+  it("registers the user even when the verification email can't be sent", async () => {
+    setMailTransport({
+      send: async () => {
+        throw new Error("smtp down")
+      },
+    })
+
+    try {
+      const agent = request.agent(app)
+      await agent
+        .post("/api/auth/register")
+        .send({ name: "Mail Less", email: "mailless@example.com", password: "secret123" })
+        .expect(201)
+
+      await agent.get("/api/auth/me").expect(200)
+    } finally {
+      setMailTransport(null)
+    }
+  })
+
+  it("answers password reset requests the same way whether or not the email can be sent", async () => {
+    const { user } = await createUser(app)
+    setMailTransport({
+      send: async () => {
+        throw new Error("smtp down")
+      },
+    })
+
+    try {
+      for (const email of [user.email, "nobody@example.com"]) {
+        const res = await request(app).post("/api/auth/forgot-password").send({ email }).expect(200)
+        assert.equal(res.body.message, "If an account exists for that email, a reset link has been sent")
+      }
+    } finally {
+      setMailTransport(null)
+    }
+  })
+
+  it("marks accounts from before email verification as verified, and no others", async () => {
+    const { insertedId } = await User.collection.insertOne({
+      name: "Old Timer",
+      email: "old.timer@example.com",
+      password: "not-a-real-hash",
+      roles: ["client", "freelancer"],
+    })
+    const { user } = await createUser(app, { verified: false })
+
+    assert.equal(await verifyPreexistingAccounts(), 1)
+    assert.equal((await User.findById(insertedId)).emailVerified, true)
+    assert.equal((await User.findById(user.id)).emailVerified, false)
+  })
+
+  it("rejects a second account with the same email", async () => {
+    const { user } = await createUser(app)
+
+    const res = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "Someone Else", email: user.email, password: "secret123" })
+      .expect(409)
+
+    assert.equal(res.body.code, "EMAIL_TAKEN")
+  })
+
+  it("returns field-level errors for invalid input", async () => {
+    const res = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "A", email: "not-an-email", password: "123" })
+      .expect(422)
+
+    assert.equal(res.body.code, "VALIDATION_FAILED")
+    assert.deepEqual(res.body.errors.map((error) => error.field).sort(), ["email", "name", "password"])
+    assert.ok(res.body.requestId)
+  })
+
+  it("ignores request ids sent by clients that aren't a trusted proxy", async () => {
+    const res = await request(app).get("/api/auth/me").set("X-Request-Id", "forged-id").expect(401)
+
+    assert.notEqual(res.headers["x-request-id"], "forged-id")
+    assert.equal(res.body.requestId, res.headers["x-request-id"])
+  })
+
+  it("logs in with the right password only", async () => {
+    const { user, password } = await createUser(app)
+
+    const wrong = await request(app)
+      .post("/api/auth/login")
+      .send({ email: user.email, password: "wrong-password" })
+      .expect(401)
+    assert.equal(wrong.body.code, "INVALID_CREDENTIALS")
+
+    const agent = request.agent(app)
+    await agent.post("/api/auth/login").send({ email: user.email, password }).expect(200)
+    await agent.get("/api/auth/me").expect(200)
+  })
+
+  it("requires a token for protected routes", async () => {
+    const res = await request(app).get("/api/auth/me").expect(401)
+    assert.equal(res.body.code, "TOKEN_MISSING")
+  })
+
+  it("revokes the session on logout", async () => {
+    const { user, password } = await createUser(app)
+
+    const login = await request(app).post("/api/auth/login").send({ email: user.email, password }).expect(200)
+    const cookies = login.headers["set-cookie"].map((cookie) => cookie.split(";")[0])
+
+    await request(app).post("/api/auth/logout").set("Cookie", cookies).expect(200)
+
+    // The old access token no longer works even if a client kept it
+    const res = await request(app).get("/api/auth/me").set("Cookie", cookies).expect(401)
+    assert.equal(res.body.code, "TOKEN_INVALID")
+  })
+})
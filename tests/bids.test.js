@@ -0,0 +1,174 @@
+import { after, before, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { startTestApp, clearDatabase, createUser, createGig, createBid, bidPayload } from "./helpers.js"
+import Notification from "../models/Notification.model.js"
+
+describe("bids", () => {
+  let app, stop
+
+  before(async () => {
+    ;({ app, stop } = await startTestApp())
+  })
+
+  after(async () => {
+    await stop()
+  })
+
+  beforeEach(clearDatabase)
+
+  it("does not let owners bid on their own gig", async () => {
+    const { agent: owner } = await createUser(app)
+    const gig = await createGig(owner)
+
+    const res = await owner.post("/api/bids").send(bidPayload(gig._id)).expect(403)
+    assert.equal(res.body.code, "OWN_GIG")
+  })
+
+  it("allows only one bid per freelancer per gig", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: freelancer } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner)
+
+    await createBid(freelancer, gig._id)
+
+    const res = await freelancer.post("/api/bids").send(bidPayload(gig._id, { price: 300 })).expect(409)
+    assert.equal(res.body.code, "DUPLICATE_BID")
+  })
+
+  it("only shows a gig's bids to its owner", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: freelancer } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner)
+    const bid = await createBid(freelancer, gig._id)
+
+    const res = await owner.get(`/api/bids/${gig._id}`).expect(200)
+    assert.deepEqual(
+      res.body.bids.map((listed) => listed._id),
+      [bid._id],
+    )
+
+    await freelancer.get(`/api/bids/${gig._id}`).expect(403)
+  })
+
+  it("lets freelancers edit a pending bid, including to falsy-looking values", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: freelancer } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner)
+    const bid = await createBid(freelancer, gig._id)
+
+    const res = await freelancer.put(`/api/bids/${bid._id}`).send({ price: 1 }).expect(200)
+    assert.equal(res.body.bid.price, 1)
+  })
+
+  it("stops accepting bids once someone is hired", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: first } = await createUser(app, { roles: ["freelancer"] })
+    const { agent: second } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner)
+    const bid = await createBid(first, gig._id)
+
+    await owner.patch(`/api/bids/${bid._id}/hire`).send({}).expect(200)
+
+    const res = await second.post("/api/bids").send(bidPayload(gig._id)).expect(409)
+    assert.equal(res.body.code, "GIG_NOT_OPEN")
+  })
+
+  describe("negotiation", () => {
+    // A gig owner, a freelancer and the freelancer's $450 bid on the gig
+    const negotiation = async () => {
+      const { agent: owner, user: ownerUser } = await createUser(app)
+      const { agent: freelancer, user: freelancerUser } = await createUser(app, { roles: ["freelancer"] })
+      const gig = await createGig(owner)
+      const bid = await createBid(freelancer, gig._id)
+      return { owner, ownerUser, freelancer, freelancerUser, gig, bid }
+    }
+
+    it("lets the owner shortlist and filter bids by status", async () => {
+      const { owner, freelancer, freelancerUser, gig, bid } = await negotiation()
+
+      await freelancer.patch(`/api/bids/${bid._id}/shortlist`).send({}).expect(403)
+      const res = await owner.patch(`/api/bids/${bid._id}/shortlist`).send({}).expect(200)
+      assert.equal(res.body.bid.status, "shortlisted")
+
+      const list = await owner.get(`/api/bids/${gig._id}?status=shortlisted`).expect(200)
+      assert.equal(list.body.count, 1)
+      assert.ok(await Notification.exists({ userId: freelancerUser.id, type: "bid_shortlisted" }))
+    })
+
+    it("does not let a declined bid be edited or hired", async () => {
+      const { owner, freelancer, bid } = await negotiation()
+
+      await owner.patch(`/api/bids/${bid._id}/decline`).send({ note: "Out of budget" }).expect(200)
+
+      const edit = await freelancer.put(`/api/bids/${bid._id}`).send({ price: 400 }).expect(409)
+      assert.equal(edit.body.code, "BID_NOT_PENDING")
+      await owner.patch(`/api/bids/${bid._id}/hire`).send({}).expect(409)
+    })
+
+    it("hires at the price agreed through counter-offers", async () => {
+      const { owner, ownerUser, freelancer, bid } = await negotiation()
+
+      // Owner offers 350, freelancer answers 400, owner offers 380, freelancer accepts
+      await owner.patch(`/api/bids/${bid._id}/counter`).send({ price: 350 }).expect(200)
+      let res = await freelancer.patch(`/api/bids/${bid._id}/counter`).send({ price: 400 }).expect(200)
+      assert.equal(res.body.bid.price, 400)
+      assert.equal(res.body.bid.counterOffer, null)
+
+      res = await owner.patch(`/api/bids/${bid._id}/counter`).send({ price: 380, note: "Final offer" }).expect(200)
+      assert.equal(res.body.bid.counterOffer.price, 380)
+      assert.equal(res.body.bid.price, 400)
+
+      res = await freelancer.patch(`/api/bids/${bid._id}/accept-counter`).send({}).expect(200)
+      assert.equal(res.body.bid.price, 380)
+      assert.ok(await Notification.exists({ userId: ownerUser.id, type: "bid_counter_accepted" }))
+
+      const hire = await owner.patch(`/api/bids/${bid._id}/hire`).send({}).expect(200)
+      assert.equal(hire.body.contract.amount, 380)
+
+      const history = await freelancer.get(`/api/bids/${bid._id}/history`).expect(200)
+      assert.deepEqual(
+        history.body.history.map((entry) => [entry.action, entry.price]),
+        [
+          ["submitted", 450],
+          ["countered", 350],
+          ["countered", 400],
+          ["countered", 380],
+          ["counter_accepted", 380],
+          ["hired", 380],
+        ],
+      )
+    })
+
+    it("ignores an unanswered counter-offer when hiring", async () => {
+      const { owner, bid } = await negotiation()
+
+      await owner.patch(`/api/bids/${bid._id}/counter`).send({ price: 300 }).expect(200)
+      const hire = await owner.patch(`/api/bids/${bid._id}/hire`).send({}).expect(200)
+      assert.equal(hire.body.contract.amount, 450)
+    })
+
+    it("only lets the freelancer answer an open counter-offer", async () => {
+      const { freelancer, bid } = await negotiation()
+
+      const res = await freelancer.patch(`/api/bids/${bid._id}/counter`).send({ price: 400 }).expect(409)
+      assert.equal(res.body.code, "NO_COUNTER_OFFER")
+      await freelancer.patch(`/api/bids/${bid._id}/accept-counter`).send({}).expect(409)
+    })
+
+    it("records revisions and keeps the history from strangers", async () => {
+      const { owner, freelancer, bid } = await negotiation()
+      const { agent: stranger } = await createUser(app)
+
+      await freelancer.put(`/api/bids/${bid._id}`).send({ message: "Updated proposal with more detail." }).expect(200)
+
+      const res = await owner.get(`/api/bids/${bid._id}/history`).expect(200)
+      assert.deepEqual(
+        res.body.history.map((entry) => entry.action),
+        ["submitted", "revised"],
+      )
+      assert.equal(res.body.history[1].message, "Updated proposal with more detail.")
+
+      await stranger.get(`/api/bids/${bid._id}/history`).expect(403)
+    })
+  })
+})
@@ -0,0 +1,83 @@
+import "./setup.js"
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { ConfigError, config, loadConfig } from "../config/index.js"
+import { corsOptions, isAllowedOrigin } from "../config/cors.js"
+
+const PRODUCTION = {
+  NODE_ENV: "production",
+  JWT_SECRET: "x".repeat(32),
+  MONGODB_URI: "mongodb://db/gigflow",
+  CORS_ORIGINS: "https://gigflow.example",
+}
+
+// The problems a configuration is rejected with
+const problemsOf = (env) => {
+  try {
+    loadConfig(env)
+  } catch (error) {
+    assert.ok(error instanceof ConfigError)
+    return error.problems
+  }
+  assert.fail("expected the configuration to be rejected")
+}
+
+describe("config", () => {
+  it("accepts a complete production configuration", () => {
+    const loaded = loadConfig(PRODUCTION)
+
+    assert.equal(loaded.isProduction, true)
+    assert.equal(loaded.cookies.secure, true)
+    assert.deepEqual(loaded.cors.origins, ["https://gigflow.example"])
+  })
+
+  it("reports every missing variable at once outside tests", () => {
+    const problems = problemsOf({ NODE_ENV: "development" })
+
+    assert.ok(problems.includes("JWT_SECRET is required"))
+    assert.ok(problems.includes("MONGODB_URI is required"))
+  })
+
+  it("needs neither in tests", () => {
+    const loaded = loadConfig({ NODE_ENV: "test" })
+    assert.equal(loaded.isTest, true)
+  })
+
+  it("refuses a wildcard CORS origin", () => {
+    const problems = problemsOf({ ...PRODUCTION, CORS_ORIGINS: "*" })
+    assert.ok(problems.some((problem) => problem.startsWith("CORS_ORIGINS cannot contain *")))
+  })
+
+  it("refuses SameSite=None cookies that aren't secure", () => {
+    const problems = problemsOf({ ...PRODUCTION, COOKIE_SAME_SITE: "none", COOKIE_SECURE: "false" })
+    assert.deepEqual(problems, ["COOKIE_SAME_SITE=none requires COOKIE_SECURE=true"])
+  })
+
+  it("requires a long JWT secret in production", () => {
+    const problems = problemsOf({ ...PRODUCTION, JWT_SECRET: "short" })
+    assert.deepEqual(problems, ["JWT_SECRET must be at least 32 characters in production"])
+  })
+})
+
+describe("CORS allowlist", () => {
+  it("lets listed origins through", () => {
+    assert.ok(config.cors.origins.length)
+    for (const origin of config.cors.origins) {
+      assert.equal(isAllowedOrigin(origin), true)
+    }
+  })
+
+  it("blocks origins that aren't listed", () => {
+    assert.equal(isAllowedOrigin("https://evil.example"), false)
+  })
+
+  it("lets requests without an Origin header through", () => {
+    assert.equal(isAllowedOrigin(undefined), true)
+  })
+
+  it("exposes the rate limit headers to other origins", () => {
+    for (const header of ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"]) {
+      assert.ok(corsOptions.exposedHeaders.includes(header), `${header} is not exposed`)
+    }
+  })
+})
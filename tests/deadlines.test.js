@@ -0,0 +1,151 @@
+import { after, before, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { startTestApp, clearDatabase, createUser, createGig, createBid, bidPayload, gigPayload } from "./helpers.js"
+import Bid from "../models/Bid.model.js"
+import Gig from "../models/Gig.model.js"
+import Job from "../models/Job.model.js"
+import Notification from "../models/Notification.model.js"
+import { registerJobs, scheduleRecurringJobs } from "../jobs/index.js"
+import { defineJob, runDueJobs, scheduleJob } from "../utils/scheduler.js"
+import { remindUnreviewedBids } from "../services/deadline.service.js"
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+const inDays = (days) => new Date(Date.now() + days * DAY_MS)
+
+describe("deadlines and scheduled jobs", () => {
+  let app, stop
+
+  before(async () => {
+    ;({ app, stop } = await startTestApp())
+    registerJobs()
+  })
+
+  after(async () => {
+    await stop()
+  })
+
+  beforeEach(clearDatabase)
+
+  it("refuses a delivery date before the bidding deadline", async () => {
+    const { agent: owner } = await createUser(app)
+
+    const res = await owner
+      .post("/api/gigs")
+      .send(gigPayload({ biddingDeadline: inDays(3), deliveryDueDate: inDays(2) }))
+      .expect(400)
+    assert.equal(res.body.code, "INVALID_DEADLINE")
+  })
+
+  it("closes bidding when the deadline passes", async () => {
+    const { agent: owner, user } = await createUser(app)
+    const { agent: freelancer } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner, { biddingDeadline: inDays(2) })
+
+    assert.equal(await Job.countDocuments({ key: `gig.closeBidding:${gig._id}` }), 1)
+
+    await runDueJobs({ io: null }, inDays(3))
+
+    const closed = await Gig.findById(gig._id)
+    assert.ok(closed.biddingClosedAt)
+    assert.equal(await Notification.countDocuments({ userId: user.id, type: "bidding_closed" }), 1)
+
+    const res = await freelancer.post("/api/bids").send(bidPayload(gig._id)).expect(409)
+    assert.equal(res.body.code, "BIDDING_CLOSED")
+  })
+
+  it("reopens bidding when the owner sets a new deadline", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: freelancer } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner, { biddingDeadline: inDays(2) })
+
+    await Gig.updateOne({ _id: gig._id }, { biddingClosedAt: new Date() })
+    await owner
+      .put(`/api/gigs/${gig._id}`)
+      .send({ biddingDeadline: inDays(5) })
+      .expect(200)
+
+    await createBid(freelancer, gig._id)
+  })
+
+  it("expires bids past their validity", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: freelancer, user } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner)
+    const bid = await createBid(freelancer, gig._id, { validForDays: 7 })
+
+    await scheduleRecurringJobs()
+    await runDueJobs({ io: null }, inDays(8))
+
+    const expired = await Bid.findById(bid._id).select("+history")
+    assert.equal(expired.status, "expired")
+    assert.equal(expired.history.at(-1).action, "expired")
+    assert.equal(await Notification.countDocuments({ userId: user.id, type: "bid_expired" }), 1)
+
+    const res = await owner.patch(`/api/bids/${bid._id}/hire`).send({}).expect(409)
+    assert.equal(res.body.code, "BID_NOT_PENDING")
+  })
+
+  it("flags assigned gigs that miss their delivery date once", async () => {
+    const { agent: owner, user: ownerUser } = await createUser(app)
+    const { agent: freelancer, user: freelancerUser } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner, { deliveryDueDate: inDays(10) })
+    const bid = await createBid(freelancer, gig._id)
+    await owner.patch(`/api/bids/${bid._id}/hire`).send({}).expect(200)
+
+    await scheduleRecurringJobs()
+    await runDueJobs({ io: null }, inDays(11))
+    await Job.updateMany({}, { runAt: new Date() })
+    await runDueJobs({ io: null }, inDays(12))
+
+    assert.ok((await Gig.findById(gig._id)).overdueAt)
+    assert.equal(await Notification.countDocuments({ userId: ownerUser.id, type: "gig_overdue" }), 1)
+    assert.equal(await Notification.countDocuments({ userId: freelancerUser.id, type: "gig_overdue" }), 1)
+  })
+
+  it("reminds owners about bids waiting for review at most once a day", async () => {
+    const { agent: owner, user } = await createUser(app)
+    const { agent: freelancer } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner)
+    await createBid(freelancer, gig._id)
+
+    // Too recent to need a reminder
+    assert.equal(await remindUnreviewedBids(null, new Date()), 0)
+
+    await scheduleRecurringJobs()
+    await runDueJobs({ io: null }, inDays(2))
+
+    const reminders = () => Notification.countDocuments({ userId: user.id, type: "bids_awaiting_review" })
+    assert.equal(await reminders(), 1)
+
+    assert.equal(await remindUnreviewedBids(null, new Date(inDays(2).getTime() + HOUR_MS)), 0)
+    assert.equal(await remindUnreviewedBids(null, inDays(4)), 1)
+    assert.equal(await reminders(), 2)
+  })
+
+  it("retries a failing job with backoff, then gives up", async () => {
+    let calls = 0
+    defineJob("test.failing", () => {
+      calls += 1
+      throw new Error("boom")
+    })
+
+    const job = await scheduleJob("test.failing")
+    const start = new Date(Date.now() + 1000)
+
+    await runDueJobs({}, start)
+    let stored = await Job.findById(job._id)
+    assert.equal(stored.status, "scheduled")
+    assert.equal(stored.lastError, "boom")
+    assert.ok(stored.runAt > start)
+
+    for (let attempt = 2; attempt <= stored.maxAttempts; attempt += 1) {
+      await runDueJobs({}, inDays(attempt))
+    }
+
+    stored = await Job.findById(job._id)
+    assert.equal(stored.status, "failed")
+    assert.equal(calls, stored.maxAttempts)
+  })
+})
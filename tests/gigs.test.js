@@ -0,0 +1,93 @@
+import { after, before, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import request from "supertest"
+import { startTestApp, clearDatabase, createUser, createGig, gigPayload } from "./helpers.js"
+
+describe("gigs", () => {
+  let app, stop
+
+  before(async () => {
+    ;({ app, stop } = await startTestApp())
+  })
+
+  after(async () => {
+    await stop()
+  })
+
+  beforeEach(clearDatabase)
+
+  it("creates a gig and lists it publicly", async () => {
+    const { agent, user } = await createUser(app)
+
+    const gig = await createGig(agent)
+    assert.equal(gig.status, "open")
+    assert.equal(gig.ownerId._id, user.id)
+
+    const list = await request(app).get("/api/gigs").expect(200)
+    assert.deepEqual(
+      list.body.gigs.map((listed) => listed._id),
+      [gig._id],
+    )
+
+    const single = await request(app).get(`/api/gigs/${gig._id}`).expect(200)
+    assert.equal(single.body.gig.title, gig.title)
+  })
+
+  it("returns search results by relevance in the same shape as other listings", async () => {
+    const { agent, user } = await createUser(app)
+    await createGig(agent, { title: "Landing page for a bakery" })
+    await createGig(agent, {
+      title: "Mobile app backend",
+      description: "Need an API for a mobile app, with auth and payments.",
+    })
+
+    const res = await request(app).get("/api/gigs").query({ search: "landing" }).expect(200)
+    assert.equal(res.body.searchMode, "text")
+    assert.equal(res.body.count, 1)
+
+    const [gig] = res.body.gigs
+    assert.equal(gig.score, undefined)
+    assert.equal(gig.ownerId._id, user.id)
+    assert.equal(gig.highlights.title, "<mark>Landing</mark> page for a bakery")
+  })
+
+  it("requires a verified client to post a gig", async () => {
+    const { agent: unverified } = await createUser(app, { verified: false })
+    const notVerified = await unverified.post("/api/gigs").send(gigPayload()).expect(403)
+    assert.equal(notVerified.body.code, "EMAIL_NOT_VERIFIED")
+
+    const { agent: freelancer } = await createUser(app, { roles: ["freelancer"] })
+    await freelancer.post("/api/gigs").send(gigPayload()).expect(403)
+
+    await request(app).post("/api/gigs").send(gigPayload()).expect(401)
+  })
+
+  it("validates the gig body", async () => {
+    const { agent } = await createUser(app)
+
+    const res = await agent.post("/api/gigs").send(gigPayload({ title: "abc", budget: 0 })).expect(422)
+    assert.deepEqual(res.body.errors.map((error) => error.field).sort(), ["budget", "title"])
+  })
+
+  it("lets only the owner update or delete a gig", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: other } = await createUser(app)
+    const gig = await createGig(owner)
+
+    const forbidden = await other.put(`/api/gigs/${gig._id}`).send({ title: "Hijacked title" }).expect(403)
+    assert.equal(forbidden.body.code, "FORBIDDEN")
+    await other.delete(`/api/gigs/${gig._id}`).expect(403)
+
+    const updated = await owner.put(`/api/gigs/${gig._id}`).send({ budget: 750 }).expect(200)
+    assert.equal(updated.body.gig.budget, 750)
+    assert.equal(updated.body.gig.title, gig.title)
+
+    await owner.delete(`/api/gigs/${gig._id}`).expect(200)
+    await request(app).get(`/api/gigs/${gig._id}`).expect(404)
+  })
+
+  it("rejects malformed ids with a 400", async () => {
+    const res = await request(app).get("/api/gigs/not-an-id").expect(400)
+    assert.equal(res.body.errors[0].field, "id")
+  })
+})
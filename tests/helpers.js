@@ -0,0 +1,80 @@
+import "./setup.js"
+import mongoose from "mongoose"
+import request from "supertest"
+import { MongoMemoryReplSet } from "mongodb-memory-server"
+import { createApp } from "../app.js"
+import User from "../models/User.model.js"
+
+// Start a single-node in-memory replica set (transactions need one), connect
+// Mongoose and build the app. Call the returned `stop` in an `after` hook.
+export const startTestApp = async () => {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: "wiredTiger" } })
+  await mongoose.connect(replSet.getUri())
+
+  // Create collections and unique indexes up front; they can't be created
+  // lazily inside the hire transaction
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).createCollection()))
+  await mongoose.connection.syncIndexes()
+
+  const { app, io } = createApp()
+
+  const stop = async () => {
+    io.close()
+    await mongoose.disconnect()
+    await replSet.stop()
+  }
+
+  return { app, stop }
+}
+
+export const clearDatabase = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({})))
+}
+
+let userCount = 0
+
+// Register a user through the API and return a cookie-carrying agent for them.
+// Users are email-verified unless `verified: false` is passed.
+export const createUser = async (app, { verified = true, roles, ...fields } = {}) => {
+  userCount += 1
+  const body = {
+    name: `Test User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: "secret123",
+    ...(roles && { roles }),
+    ...fields,
+  }
+
+  const agent = request.agent(app)
+  const res = await agent.post("/api/auth/register").send(body).expect(201)
+
+  if (verified) {
+    await User.updateOne({ _id: res.body.user.id }, { emailVerified: true, emailVerifiedAt: new Date() })
+  }
+
+  return { agent, user: res.body.user, password: body.password }
+}
+
+export const gigPayload = (overrides = {}) => ({
+  title: "Build a landing page",
+  description: "Need a responsive landing page for a product launch.",
+  budget: 500,
+  ...overrides,
+})
+
+export const bidPayload = (gigId, overrides = {}) => ({
+  gigId,
+  message: "I have built dozens of these, happy to help.",
+  price: 450,
+  ...overrides,
+})
+
+export const createGig = async (agent, overrides) => {
+  const res = await agent.post("/api/gigs").send(gigPayload(overrides)).expect(201)
+  return res.body.gig
+}
+
+export const createBid = async (agent, gigId, overrides) => {
+  const res = await agent.post("/api/bids").send(bidPayload(gigId, overrides)).expect(201)
+  return res.body.bid
+}
@@ -0,0 +1,156 @@
+import { after, before, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { startTestApp, clearDatabase, createUser, createGig, createBid } from "./helpers.js"
+import Bid from "../models/Bid.model.js"
+import Contract from "../models/Contract.model.js"
+import Gig from "../models/Gig.model.js"
+
+describe("hiring", () => {
+  let app, stop
+
+  before(async () => {
+    ;({ app, stop } = await startTestApp())
+  })
+
+  after(async () => {
+    await stop()
+  })
+
+  beforeEach(clearDatabase)
+
+  // An owner with a gig and `count` freelancers who each bid on it
+  const gigWithBids = async (count) => {
+    const { agent: owner } = await createUser(app)
+    const gig = await createGig(owner)
+
+    const bids = []
+    const freelancers = []
+    for (let i = 0; i < count; i += 1) {
+      const { agent } = await createUser(app, { roles: ["freelancer"] })
+      bids.push(await createBid(agent, gig._id, { price: 400 + i }))
+      freelancers.push(agent)
+    }
+
+    return { owner, gig, bids, freelancers }
+  }
+
+  it("hires one bid, rejects the rest and opens a contract", async () => {
+    const { owner, gig, bids } = await gigWithBids(3)
+    const [winner] = bids
+
+    const res = await owner.patch(`/api/bids/${winner._id}/hire`).send({}).expect(200)
+    assert.equal(res.body.bid.status, "hired")
+    assert.equal(res.body.contract.amount, winner.price)
+
+    const storedGig = await Gig.findById(gig._id)
+    assert.equal(storedGig.status, "assigned")
+    assert.equal(String(storedGig.hiredBidId), winner._id)
+
+    const statuses = await Bid.find({ gigId: gig._id }).sort({ price: 1 })
+    assert.deepEqual(
+      statuses.map((bid) => bid.status),
+      ["hired", "rejected", "rejected"],
+    )
+  })
+
+  it("only lets the gig owner hire", async () => {
+    const { bids } = await gigWithBids(1)
+    const { agent: stranger } = await createUser(app)
+
+    await stranger.patch(`/api/bids/${bids[0]._id}/hire`).send({}).expect(403)
+    assert.equal((await Bid.findById(bids[0]._id)).status, "pending")
+  })
+
+  it("lets exactly one of several concurrent hires win", async () => {
+    const { owner, gig, bids } = await gigWithBids(5)
+
+    const responses = await Promise.all(bids.map((bid) => owner.patch(`/api/bids/${bid._id}/hire`).send({})))
+
+    const winners = responses.filter((res) => res.status === 200)
+    const losers = responses.filter((res) => res.status !== 200)
+
+    assert.equal(winners.length, 1)
+    for (const res of losers) {
+      assert.equal(res.status, 409)
+      assert.ok(["GIG_NOT_OPEN", "CONCURRENT_UPDATE"].includes(res.body.code), res.body.code)
+    }
+
+    // The database agrees with the single winner
+    const winningBidId = winners[0].body.bid._id
+    const storedGig = await Gig.findById(gig._id)
+    assert.equal(String(storedGig.hiredBidId), winningBidId)
+
+    const hired = await Bid.find({ gigId: gig._id, status: "hired" })
+    assert.deepEqual(
+      hired.map((bid) => String(bid._id)),
+      [winningBidId],
+    )
+    assert.equal(await Bid.countDocuments({ gigId: gig._id, status: "pending" }), 0)
+    assert.equal(await Contract.countDocuments({ gigId: gig._id }), 1)
+  })
+
+  it("refuses to hire again once the gig is assigned", async () => {
+    const { owner, bids } = await gigWithBids(2)
+
+    await owner.patch(`/api/bids/${bids[0]._id}/hire`).send({}).expect(200)
+    const res = await owner.patch(`/api/bids/${bids[1]._id}/hire`).send({}).expect(409)
+
+    assert.equal(res.body.code, "GIG_NOT_OPEN")
+  })
+
+  it("cancels the gig, its contract and its escrow together", async () => {
+    const { owner, gig, bids } = await gigWithBids(1)
+
+    const hire = await owner.patch(`/api/bids/${bids[0]._id}/hire`).send({}).expect(200)
+    const { contract } = hire.body
+    const [milestone] = contract.milestones
+    await owner.patch(`/api/contracts/${contract._id}/milestones/${milestone._id}/fund`).send({}).expect(200)
+
+    const res = await owner.patch(`/api/gigs/${gig._id}/cancel`).send({}).expect(200)
+    assert.equal(res.body.gig.status, "cancelled")
+
+    const stored = await Contract.findById(contract._id)
+    assert.equal(stored.status, "cancelled")
+    assert.equal(stored.milestones[0].status, "refunded")
+
+    // Already cancelled: nothing is applied twice
+    await owner.patch(`/api/gigs/${gig._id}/cancel`).send({}).expect(409)
+  })
+
+  it("completes the gig and its contract only once every milestone is released", async () => {
+    const { owner, gig, bids, freelancers } = await gigWithBids(1)
+    const [freelancer] = freelancers
+
+    const hire = await owner.patch(`/api/bids/${bids[0]._id}/hire`).send({}).expect(200)
+    const { contract } = hire.body
+    const milestoneUrl = `/api/contracts/${contract._id}/milestones/${contract.milestones[0]._id}`
+    await owner.patch(`${milestoneUrl}/fund`).send({}).expect(200)
+
+    await freelancer.patch(`/api/gigs/${gig._id}/start`).send({}).expect(200)
+    await freelancer.patch(`/api/gigs/${gig._id}/submit`).send({}).expect(200)
+
+    // The milestone is still held in escrow
+    const early = await owner.patch(`/api/gigs/${gig._id}/complete`).send({}).expect(409)
+    assert.equal(early.body.code, "MILESTONES_UNRELEASED")
+    assert.equal((await Gig.findById(gig._id)).status, "submitted")
+    assert.equal((await Contract.findById(contract._id)).status, "active")
+
+    await freelancer.patch(`${milestoneUrl}/submit`).send({}).expect(200)
+    await owner.patch(`${milestoneUrl}/release`).send({}).expect(200)
+
+    const res = await owner.patch(`/api/gigs/${gig._id}/complete`).send({}).expect(200)
+    assert.equal(res.body.gig.status, "completed")
+    assert.equal((await Contract.findById(contract._id)).status, "completed")
+  })
+
+  it("refuses to delete a gig once someone is hired", async () => {
+    const { owner, gig, bids } = await gigWithBids(1)
+    await owner.patch(`/api/bids/${bids[0]._id}/hire`).send({}).expect(200)
+
+    const res = await owner.delete(`/api/gigs/${gig._id}`).expect(409)
+    assert.equal(res.body.code, "GIG_NOT_OPEN")
+
+    assert.ok(await Gig.exists({ _id: gig._id }))
+    assert.equal(await Contract.countDocuments({ gigId: gig._id, status: "active" }), 1)
+  })
+})
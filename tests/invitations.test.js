@@ -0,0 +1,195 @@
+import { after, before, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import request from "supertest"
+import { startTestApp, clearDatabase, createUser, createGig, createBid, bidPayload } from "./helpers.js"
+import Invitation from "../models/Invitation.model.js"
+import Notification from "../models/Notification.model.js"
+import User from "../models/User.model.js"
+import { setMailTransport } from "../services/mail.service.js"
+
+describe("gig visibility and invitations", () => {
+  let app, stop, sent
+
+  before(async () => {
+    ;({ app, stop } = await startTestApp())
+  })
+
+  after(async () => {
+    await stop()
+  })
+
+  beforeEach(async () => {
+    await clearDatabase()
+    sent = []
+    setMailTransport({ send: async (message) => sent.push(message) })
+  })
+
+  it("keeps unlisted and invite-only gigs out of listings", async () => {
+    const { agent: owner } = await createUser(app)
+    await createGig(owner, { title: "Public landing page" })
+    const unlisted = await createGig(owner, { title: "Unlisted landing page", visibility: "unlisted" })
+    const inviteOnly = await createGig(owner, { title: "Private landing page", visibility: "invite_only" })
+
+    const list = await request(app).get("/api/gigs").expect(200)
+    assert.deepEqual(
+      list.body.gigs.map((gig) => gig.title),
+      ["Public landing page"],
+    )
+
+    await request(app).get(`/api/gigs/${unlisted._id}`).expect(200)
+    await request(app).get(`/api/gigs/${inviteOnly._id}`).expect(404)
+    await owner.get(`/api/gigs/${inviteOnly._id}`).expect(200)
+  })
+
+  it("only takes bids on invite-only gigs from invited freelancers", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: invitee, user: inviteeUser } = await createUser(app, { roles: ["freelancer"] })
+    const { agent: stranger } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner, { visibility: "invite_only" })
+
+    const res = await stranger.post("/api/bids").send(bidPayload(gig._id)).expect(403)
+    assert.equal(res.body.code, "NOT_INVITED")
+
+    await owner
+      .post(`/api/gigs/${gig._id}/invitations`)
+      .send({ userIds: [inviteeUser.id] })
+      .expect(201)
+    assert.equal(await Notification.countDocuments({ userId: inviteeUser.id, type: "gig_invitation" }), 1)
+
+    await invitee.get(`/api/gigs/${gig._id}`).expect(200)
+    await stranger.get(`/api/gigs/${gig._id}`).expect(404)
+
+    await invitee.post("/api/bids").send(bidPayload(gig._id)).expect(201)
+    const invitation = await Invitation.findOne({ gigId: gig._id })
+    assert.equal(invitation.status, "accepted")
+  })
+
+  it("keeps finished invite-only gigs out of the public profile history", async () => {
+    const { agent: owner, user: ownerUser } = await createUser(app)
+    const { agent: invitee, user: inviteeUser } = await createUser(app, { roles: ["freelancer"] })
+    const { agent: stranger } = await createUser(app)
+    const gig = await createGig(owner, { title: "Private landing page", visibility: "invite_only" })
+
+    await owner
+      .post(`/api/gigs/${gig._id}/invitations`)
+      .send({ userIds: [inviteeUser.id] })
+      .expect(201)
+    const bid = await createBid(invitee, gig._id)
+    await owner.patch(`/api/bids/${bid._id}/hire`).send({}).expect(200)
+    await owner.patch(`/api/gigs/${gig._id}/cancel`).send({}).expect(200)
+
+    const own = await owner.get(`/api/users/${ownerUser.id}`).expect(200)
+    assert.deepEqual(
+      own.body.stats.completionHistory.map((entry) => entry.title),
+      ["Private landing page"],
+    )
+
+    for (const viewer of [stranger, request(app)]) {
+      const res = await viewer.get(`/api/users/${ownerUser.id}`).expect(200)
+      assert.deepEqual(res.body.stats.completionHistory, [])
+    }
+  })
+
+  it("invites people by email and matches them once they verify it", async () => {
+    const { agent: owner } = await createUser(app)
+    const gig = await createGig(owner, { visibility: "invite_only" })
+
+    await owner
+      .post(`/api/gigs/${gig._id}/invitations`)
+      .send({ emails: ["New.Person@Example.com"] })
+      .expect(201)
+    assert.ok(sent.some((message) => message.to === "new.person@example.com"))
+
+    // Inviting again is harmless
+    const again = await owner
+      .post(`/api/gigs/${gig._id}/invitations`)
+      .send({ emails: ["new.person@example.com"] })
+      .expect(201)
+    assert.equal(again.body.count, 0)
+
+    const { agent: invitee } = await createUser(app, { email: "new.person@example.com", verified: false })
+    const unverified = await invitee.get("/api/gigs/invitations").expect(200)
+    assert.equal(unverified.body.count, 0)
+
+    await User.updateOne({ email: "new.person@example.com" }, { emailVerified: true })
+    const verified = await invitee.get("/api/gigs/invitations").expect(200)
+    assert.equal(verified.body.count, 1)
+    await invitee.get(`/api/gigs/${gig._id}`).expect(200)
+  })
+
+  it("keeps email invitations that could not be sent", async () => {
+    const { agent: owner } = await createUser(app)
+    const gig = await createGig(owner, { visibility: "invite_only" })
+    setMailTransport({
+      send: async () => {
+        throw new Error("smtp down")
+      },
+    })
+
+    const res = await owner
+      .post(`/api/gigs/${gig._id}/invitations`)
+      .send({ emails: ["new.person@example.com"] })
+      .expect(201)
+    assert.equal(res.body.count, 1)
+    assert.equal(await Invitation.countDocuments({ gigId: gig._id }), 1)
+  })
+
+  it("answers a duplicate invitation racing with the first one with a conflict", async () => {
+    const { agent: owner } = await createUser(app)
+    const { user: inviteeUser } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner, { visibility: "invite_only" })
+
+    const invite = () => owner.post(`/api/gigs/${gig._id}/invitations`).send({ userIds: [inviteeUser.id] })
+    const responses = await Promise.all([invite(), invite()])
+
+    for (const res of responses) {
+      assert.ok([201, 409].includes(res.status), `unexpected status ${res.status}`)
+      if (res.status === 409) assert.equal(res.body.code, "ALREADY_INVITED")
+    }
+    assert.equal(await Invitation.countDocuments({ gigId: gig._id }), 1)
+  })
+
+  it("lists the gigs a freelancer was invited to", async () => {
+    const { agent: owner } = await createUser(app)
+    const { agent: invitee, user: inviteeUser } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner, { visibility: "invite_only" })
+    await createGig(owner, { title: "Another private gig", visibility: "invite_only" })
+
+    await owner
+      .post(`/api/gigs/${gig._id}/invitations`)
+      .send({ userIds: [inviteeUser.id] })
+      .expect(201)
+
+    const feed = await invitee.get("/api/gigs/invitations").expect(200)
+    assert.equal(feed.body.count, 1)
+    assert.equal(feed.body.gigs[0]._id, gig._id)
+    assert.equal(feed.body.gigs[0].invitationStatus, "pending")
+  })
+
+  it("lets only the owner manage invitations", async () => {
+    const { agent: owner, user: ownerUser } = await createUser(app)
+    const { agent: stranger, user: strangerUser } = await createUser(app, { roles: ["freelancer"] })
+    const gig = await createGig(owner, { visibility: "invite_only" })
+
+    await stranger
+      .post(`/api/gigs/${gig._id}/invitations`)
+      .send({ userIds: [strangerUser.id] })
+      .expect(403)
+
+    const self = await owner
+      .post(`/api/gigs/${gig._id}/invitations`)
+      .send({ userIds: [ownerUser.id] })
+      .expect(400)
+    assert.equal(self.body.code, "CANNOT_INVITE_SELF")
+
+    const created = await owner
+      .post(`/api/gigs/${gig._id}/invitations`)
+      .send({ userIds: [strangerUser.id] })
+      .expect(201)
+    const [invitation] = created.body.invitations
+
+    await owner.delete(`/api/gigs/${gig._id}/invitations/${invitation._id}`).expect(200)
+    const res = await stranger.post("/api/bids").send(bidPayload(gig._id)).expect(403)
+    assert.equal(res.body.code, "NOT_INVITED")
+  })
+})
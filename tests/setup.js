@@ -0,0 +1,8 @@
+// Loaded before anything else in the test helpers: configuration the app
+// reads at import time has to be in place before app.js is evaluated.
+process.env.NODE_ENV = "test"
+
+// Every request in a test run comes from the same IP
+for (const group of ["API", "AUTH", "GIG_CREATE", "BID_CREATE", "MESSAGE"]) {
+  process.env[`RATE_LIMIT_${group}_MAX`] = "100000"
+}
@@ -0,0 +1,105 @@
+import { after, before, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import request from "supertest"
+import { startTestApp, clearDatabase, createUser, createGig, createBid } from "./helpers.js"
+
+describe("user profiles", () => {
+  let app, stop
+
+  before(async () => {
+    ;({ app, stop } = await startTestApp())
+  })
+
+  after(async () => {
+    await stop()
+  })
+
+  beforeEach(clearDatabase)
+
+  const profile = {
+    headline: "Full-stack developer",
+    bio: "Ten years of building web apps.",
+    hourlyRate: 85,
+    location: "Lisbon",
+    timezone: "Europe/Lisbon",
+    avatarUrl: "https://example.com/me.png",
+    portfolio: [{ title: "Shop redesign", url: "https://example.com/shop" }],
+  }
+
+  it("updates the current user's profile and returns it from /api/auth/me", async () => {
+    const { agent } = await createUser(app)
+
+    const res = await agent.put("/api/users/me").send(profile).expect(200)
+    assert.equal(res.body.user.headline, profile.headline)
+    assert.equal(res.body.user.portfolio[0].url, profile.portfolio[0].url)
+
+    const me = await agent.get("/api/auth/me").expect(200)
+    assert.equal(me.body.user.hourlyRate, 85)
+    assert.equal(me.body.user.timezone, "Europe/Lisbon")
+    assert.ok(me.body.user.email)
+  })
+
+  it("clears fields set to null and leaves omitted ones alone", async () => {
+    const { agent } = await createUser(app)
+    await agent.put("/api/users/me").send(profile).expect(200)
+
+    const res = await agent.put("/api/users/me").send({ hourlyRate: null, bio: null }).expect(200)
+    assert.equal(res.body.user.hourlyRate, null)
+    assert.equal(res.body.user.bio, null)
+    assert.equal(res.body.user.headline, profile.headline)
+  })
+
+  it("rejects invalid profile fields with field-level errors", async () => {
+    const { agent } = await createUser(app)
+
+    const res = await agent
+      .put("/api/users/me")
+      .send({ timezone: "Mars/Olympus", avatarUrl: "javascript:alert(1)", hourlyRate: 0 })
+      .expect(422)
+
+    assert.deepEqual(res.body.errors.map((error) => error.field).sort(), ["avatarUrl", "hourlyRate", "timezone"])
+  })
+
+  it("shows a public profile with stats but without the email", async () => {
+    const { agent, user } = await createUser(app)
+    await agent.put("/api/users/me").send(profile).expect(200)
+    await createGig(agent)
+
+    const res = await request(app).get(`/api/users/${user.id}`).expect(200)
+    assert.equal(res.body.user.headline, profile.headline)
+    assert.equal(res.body.user.email, undefined)
+    assert.equal(res.body.stats.gigsPosted, 1)
+    assert.equal(res.body.stats.bidsWon, 0)
+  })
+
+  it("shows the email only to the user and to people they have a contract with", async () => {
+    const { agent: owner, user: ownerUser } = await createUser(app)
+    const { agent: freelancer, user: freelancerUser } = await createUser(app, { roles: ["freelancer"] })
+    const { agent: stranger } = await createUser(app)
+
+    const gig = await createGig(owner)
+    const bid = await createBid(freelancer, gig._id)
+
+    let res = await owner.get(`/api/users/${freelancerUser.id}`).expect(200)
+    assert.equal(res.body.user.email, undefined)
+
+    await owner.patch(`/api/bids/${bid._id}/hire`).send({}).expect(200)
+
+    res = await owner.get(`/api/users/${freelancerUser.id}`).expect(200)
+    assert.equal(res.body.user.email, freelancerUser.email)
+    assert.equal(res.body.stats.bidsWon, 1)
+
+    res = await freelancer.get(`/api/users/${ownerUser.id}`).expect(200)
+    assert.equal(res.body.user.email, ownerUser.email)
+
+    res = await stranger.get(`/api/users/${freelancerUser.id}`).expect(200)
+    assert.equal(res.body.user.email, undefined)
+
+    res = await freelancer.get(`/api/users/${freelancerUser.id}`).expect(200)
+    assert.equal(res.body.user.email, freelancerUser.email)
+  })
+
+  it("returns 404 for unknown users", async () => {
+    await request(app).get("/api/users/64b7f0c2a1b2c3d4e5f60718").expect(404)
+  })
+})
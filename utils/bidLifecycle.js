@@ -0,0 +1,56 @@
+// Bid lifecycle
+//
+// pending ──shortlist──> shortlisted ──hire──> hired
+//    │                       │
+//    ├───────decline─────────┼──> declined
+//    └───────validUntil──────┴──> expired
+//
+// Open bids (pending or shortlisted) become "rejected" when another bid is
+// hired or the gig is cancelled, and "expired" once their validity period
+// (`validUntil`) has passed. While a bid is open the owner may send a
+// counter-offer; the freelancer accepts it or answers with a new price, and
+// so on. `bid.price` is always the latest price the freelancer has agreed
+// to, which is what hiring uses.
+
+export const BID_STATUSES = ["pending", "shortlisted", "declined", "hired", "rejected", "expired"]
+
+// Bids still in the running for the gig
+export const OPEN_BID_STATUSES = ["pending", "shortlisted"]
+
+// A bid's status, counting an open bid past its validity as expired even
+// before the expiry job has got to it
+export const effectiveBidStatus = (bid, now = new Date()) =>
+  OPEN_BID_STATUSES.includes(bid.status) && bid.validUntil && bid.validUntil <= now ? "expired" : bid.status
+
+export const isOpenBid = (bid, now = new Date()) => OPEN_BID_STATUSES.includes(effectiveBidStatus(bid, now))
+
+// Entries of a bid's negotiation history:
+//   submitted         freelancer placed the bid
+//   revised           freelancer edited the message or price
+//   shortlisted       owner shortlisted the bid
+//   declined          owner declined the bid
+//   countered         owner proposed another price, or freelancer answered one
+//   counter_accepted  freelancer accepted the owner's price
+//   hired             owner hired the bid at its price
+//   expired           the bid's validity period ran out
+export const BID_HISTORY_ACTIONS = [
+  "submitted",
+  "revised",
+  "shortlisted",
+  "declined",
+  "countered",
+  "counter_accepted",
+  "hired",
+  "expired",
+]
+
+// Build a negotiation history entry; price and message are snapshots.
+// `userId` is null for changes made by the system.
+export const bidHistoryEntry = (action, userId, { price, message, note } = {}) => ({
+  action,
+  by: userId,
+  price,
+  message,
+  note: note || undefined,
+  at: new Date(),
+})
@@ -0,0 +1,57 @@
+// Errors that map to an HTTP response, rendered by the error handler.
+// `code` is a stable, machine-readable identifier clients can branch on;
+// `message` is for humans and may change. `details` is optional extra
+// context (e.g. the current status on a conflict) returned with the error.
+export class AppError extends Error {
+  constructor(message, { statusCode = 500, code = "INTERNAL_ERROR", details } = {}) {
+    super(message)
+    this.name = new.target.name
+    this.statusCode = statusCode
+    this.code = code
+    this.details = details
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request", { code = "BAD_REQUEST", details } = {}) {
+    super(message, { statusCode: 400, code, details })
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Not authorized", { code = "UNAUTHORIZED", details } = {}) {
+    super(message, { statusCode: 401, code, details })
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", { code = "FORBIDDEN", details } = {}) {
+    super(message, { statusCode: 403, code, details })
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", { code = "NOT_FOUND", details } = {}) {
+    super(message, { statusCode: 404, code, details })
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", { code = "CONFLICT", details } = {}) {
+    super(message, { statusCode: 409, code, details })
+  }
+}
+
+// Field-level input errors: `errors` is a list of { field, location?, message }
+export class ValidationError extends AppError {
+  constructor(errors, { message = "Validation failed", statusCode = 422, code = "VALIDATION_FAILED" } = {}) {
+    super(message, { statusCode, code })
+    this.errors = errors
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", { code = "RATE_LIMITED", details } = {}) {
+    super(message, { statusCode: 429, code, details })
+  }
+}
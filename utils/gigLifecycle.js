@@ -0,0 +1,41 @@
+// Gig lifecycle state machine
+//
+// open ──hire──> assigned ──start──> in_progress ──submit──> submitted ──complete──> completed
+//                                        ^                      │
+//                                        └──request-changes─────┘
+//
+// Owners may cancel a gig until work has been submitted, and either party
+// may raise a dispute once work has started. A gig is only completed once
+// every milestone of its contract has been released.
+
+export const GIG_STATUSES = ["open", "assigned", "in_progress", "submitted", "completed", "cancelled", "disputed"]
+
+export const GIG_ACTIONS = {
+  hire: { from: ["open"], to: "assigned", actors: ["owner"] },
+  start: { from: ["assigned"], to: "in_progress", actors: ["freelancer"] },
+  submit: { from: ["in_progress"], to: "submitted", actors: ["freelancer"] },
+  request_changes: { from: ["submitted"], to: "in_progress", actors: ["owner"] },
+  complete: { from: ["submitted"], to: "completed", actors: ["owner"] },
+  cancel: { from: ["open", "assigned", "in_progress"], to: "cancelled", actors: ["owner"] },
+  dispute: { from: ["in_progress", "submitted"], to: "disputed", actors: ["owner", "freelancer"] },
+}
+
+// Check whether `action` may be applied to a gig currently in `status`
+export const canApply = (action, status) => {
+  const transition = GIG_ACTIONS[action]
+  return Boolean(transition) && transition.from.includes(status)
+}
+
+// Check whether a participant with `role` ("owner" | "freelancer") may trigger `action`
+export const isAllowedActor = (action, role) => {
+  const transition = GIG_ACTIONS[action]
+  return Boolean(transition) && transition.actors.includes(role)
+}
+
+// Build a status history entry
+export const historyEntry = (status, userId, note) => ({
+  status,
+  changedBy: userId,
+  note: note || undefined,
+  changedAt: new Date(),
+})
@@ -0,0 +1,85 @@
+import mongoose from "mongoose"
+import { BadRequestError } from "./errors.js"
+import { GIG_STATUSES } from "./gigLifecycle.js"
+
+// Sort options for gig listings: ?sort=<key>
+export const GIG_SORTS = {
+  newest: { sortField: "createdAt", direction: -1 },
+  oldest: { sortField: "createdAt", direction: 1 },
+  budget_high: { sortField: "budget", direction: -1 },
+  budget_low: { sortField: "budget", direction: 1 },
+  most_bids: { sortField: "bidCount", direction: -1 },
+  fewest_bids: { sortField: "bidCount", direction: 1 },
+}
+
+const parseNumber = (raw, name) => {
+  const value = Number(raw)
+  if (raw === "" || Number.isNaN(value)) throw new BadRequestError(`${name} must be a number`)
+  return value
+}
+
+const parseDate = (raw, name) => {
+  const value = new Date(raw)
+  if (Number.isNaN(value.getTime())) throw new BadRequestError(`${name} must be a valid date`)
+  return value
+}
+
+// Build a Mongo filter from gig listing query parameters:
+// status, category, skills (comma separated ids), minBudget, maxBudget, owner,
+// postedAfter, postedBefore
+export const buildGigFilter = (params = {}) => {
+  const { status, category, skills, minBudget, maxBudget, owner, postedAfter, postedBefore } = params
+
+  // Gigs hidden by moderators never show up in listings, and only public
+  // gigs are listed at all
+  const filter = { hiddenAt: null, visibility: "public" }
+
+  // Filter by status (default: only open gigs)
+  if (status) {
+    if (!GIG_STATUSES.includes(status)) throw new BadRequestError(`status must be one of ${GIG_STATUSES.join(", ")}`)
+    filter.status = status
+  } else {
+    filter.status = "open"
+  }
+
+  if (category) {
+    if (!mongoose.isValidObjectId(category)) throw new BadRequestError("category must be a valid id")
+    filter.categoryId = new mongoose.Types.ObjectId(category)
+  }
+
+  if (skills) {
+    const ids = (Array.isArray(skills) ? skills : String(skills).split(","))
+      .map((id) => String(id).trim())
+      .filter(Boolean)
+    if (ids.some((id) => !mongoose.isValidObjectId(id))) throw new BadRequestError("skills must be a list of valid ids")
+    filter.skills = { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) }
+  }
+
+  if (minBudget !== undefined || maxBudget !== undefined) {
+    filter.budget = {}
+    if (minBudget !== undefined) filter.budget.$gte = parseNumber(minBudget, "minBudget")
+    if (maxBudget !== undefined) filter.budget.$lte = parseNumber(maxBudget, "maxBudget")
+  }
+
+  if (owner) {
+    if (!mongoose.isValidObjectId(owner)) throw new BadRequestError("owner must be a valid id")
+    filter.ownerId = new mongoose.Types.ObjectId(owner)
+  }
+
+  if (postedAfter || postedBefore) {
+    filter.createdAt = {}
+    if (postedAfter) filter.createdAt.$gte = parseDate(postedAfter, "postedAfter")
+    if (postedBefore) filter.createdAt.$lte = parseDate(postedBefore, "postedBefore")
+  }
+
+  return filter
+}
+
+// "relevance" only changes the order of text searches, everything else falls back to newest
+export const resolveGigSort = (sort) => {
+  if (!sort || sort === "relevance") return GIG_SORTS.newest
+  if (!GIG_SORTS[sort]) {
+    throw new BadRequestError(`sort must be one of relevance, ${Object.keys(GIG_SORTS).join(", ")}`)
+  }
+  return GIG_SORTS[sort]
+}
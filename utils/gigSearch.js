@@ -0,0 +1,126 @@
+import { decodeCursor, encodeCursor, parseLimit } from "./pagination.js"
+
+const SNIPPET_RADIUS = 60
+
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const escapeHtml = (value) =>
+  value.replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char])
+
+// Split a search string the way MongoDB's $text does:
+// "quoted phrases", -negated words and plain terms
+export const parseSearch = (search) => {
+  const phrases = []
+  const negated = []
+  const terms = []
+
+  const rest = search.replace(/"([^"]+)"/g, (_, phrase) => {
+    phrases.push(phrase.trim())
+    return " "
+  })
+
+  for (const word of rest.split(/\s+/).filter(Boolean)) {
+    if (word.startsWith("-") && word.length > 1) {
+      negated.push(word.slice(1))
+    } else {
+      terms.push(word)
+    }
+  }
+
+  return { phrases: phrases.filter(Boolean), negated, terms }
+}
+
+// Escaped regex fallback for partial-word matching: every term and phrase
+// must appear in the title or description, no negated word may appear
+export const buildPartialMatchFilter = (search) => {
+  const { phrases, negated, terms } = parseSearch(search)
+  const inEitherField = (value) => {
+    const pattern = new RegExp(escapeRegex(value), "i")
+    return { $or: [{ title: pattern }, { description: pattern }] }
+  }
+
+  const clauses = [...phrases, ...terms].map(inEitherField)
+
+  for (const word of negated) {
+    const pattern = new RegExp(escapeRegex(word), "i")
+    clauses.push({ title: { $not: pattern } }, { description: { $not: pattern } })
+  }
+
+  return clauses.length ? { $and: clauses } : {}
+}
+
+// Highlight matched words in a field, trimmed to a snippet around the first match.
+// The text is HTML-escaped and matches are wrapped in <mark>.
+const highlightField = (text, pattern, snippet) => {
+  const first = text.search(pattern)
+  if (first === -1) return null
+
+  let start = 0
+  let end = text.length
+  if (snippet) {
+    start = Math.max(0, first - SNIPPET_RADIUS)
+    end = Math.min(text.length, first + SNIPPET_RADIUS * 2)
+  }
+
+  const parts = []
+  let cursor = start
+  const window = text.slice(start, end)
+
+  for (const match of window.matchAll(pattern)) {
+    const matchStart = start + match.index
+    parts.push(escapeHtml(text.slice(cursor, matchStart)), `<mark>${escapeHtml(match[0])}</mark>`)
+    cursor = matchStart + match[0].length
+  }
+  parts.push(escapeHtml(text.slice(cursor, end)))
+
+  return `${start > 0 ? "…" : ""}${parts.join("")}${end < text.length ? "…" : ""}`
+}
+
+// Title and description highlights for a gig. Terms also match longer words
+// that start with them, roughly following the text index's stemming.
+export const buildHighlights = (gig, search) => {
+  const { phrases, terms } = parseSearch(search)
+  const alternatives = [...phrases.map(escapeRegex), ...terms.map((term) => `${escapeRegex(term)}\\w*`)]
+
+  if (!alternatives.length) return {}
+
+  const pattern = new RegExp(`(?:${alternatives.join("|")})`, "gi")
+
+  return {
+    title: highlightField(gig.title, pattern, false),
+    description: highlightField(gig.description, pattern, true),
+  }
+}
+
+// Cursor-paginate a $text search ordered by relevance, then _id.
+// `$text` has to sit in the first $match stage, so this runs as an aggregation.
+export const paginateByTextScore = async (Model, { filter, search, cursor, limit, populate = [] }) => {
+  const pageSize = parseLimit(limit)
+  const textFilter = { ...filter, $text: { $search: search } }
+
+  const pipeline = [{ $match: textFilter }, { $addFields: { score: { $meta: "textScore" } } }]
+
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor)
+    pipeline.push({ $match: { $or: [{ score: { $lt: value } }, { score: value, _id: { $lt: id } }] } })
+  }
+
+  pipeline.push({ $sort: { score: -1, _id: -1 } }, { $limit: pageSize + 1 })
+
+  const [rows, total] = await Promise.all([Model.aggregate(pipeline), Model.countDocuments(textFilter)])
+
+  const hasMore = rows.length > pageSize
+  if (hasMore) rows.pop()
+
+  const last = rows[rows.length - 1]
+  const nextCursor = hasMore ? encodeCursor(last.score, last._id.toString()) : null
+
+  // Hand back documents like `paginate` does, without the internal score
+  const items = rows.map(({ score, ...row }) => Model.hydrate(row))
+
+  for (const [path, select] of populate) {
+    await Model.populate(items, { path, select })
+  }
+
+  return { items, total, nextCursor }
+}
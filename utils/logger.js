@@ -0,0 +1,60 @@
+import { AsyncLocalStorage } from "async_hooks"
+import { config } from "../config/index.js"
+
+// Structured JSON logger. Every line is one JSON object:
+//   {"time":"...","level":"info","msg":"request completed","requestId":"...",...}
+// Anything running inside `runWithContext` (an HTTP request, a socket event)
+// automatically carries that context's fields, e.g. its request id.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 }
+
+const contextStorage = new AsyncLocalStorage()
+
+// Run `fn` with `context` attached to every log line written inside it
+export const runWithContext = (context, fn) => contextStorage.run(context, fn)
+
+// Fields of the current context, or undefined outside of one. The object is
+// mutable so later middleware can add to it (e.g. the authenticated user).
+export const getLogContext = () => contextStorage.getStore()
+
+const threshold = () => LEVELS[config.logLevel]
+
+// Errors don't serialise with JSON.stringify; flatten the useful parts
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack,
+})
+
+const serialize = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value]),
+  )
+
+const write = (level, bindings, msg, fields = {}) => {
+  if (LEVELS[level] < threshold()) return
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...getLogContext(),
+    ...bindings,
+    ...serialize(fields),
+  })
+
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`)
+  else process.stdout.write(`${line}\n`)
+}
+
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write("debug", bindings, msg, fields),
+  info: (msg, fields) => write("info", bindings, msg, fields),
+  warn: (msg, fields) => write("warn", bindings, msg, fields),
+  error: (msg, fields) => write("error", bindings, msg, fields),
+  // Logger that adds `extra` to every line, e.g. logger.child({ module: "mail" })
+  child: (extra) => createLogger({ ...bindings, ...extra }),
+})
+
+export const logger = createLogger()
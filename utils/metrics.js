@@ -0,0 +1,110 @@
+// Minimal in-process metrics registry rendered in the Prometheus text format.
+// Values live in memory and reset on restart; with several instances each one
+// is scraped separately.
+
+const metrics = new Map()
+
+// Stable key for a label set, also used as its rendered form: a="1",b="2"
+const labelKey = (labels = {}) =>
+  Object.keys(labels)
+    .sort()
+    .map(
+      (name) => `${name}="${String(labels[name]).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`,
+    )
+    .join(",")
+
+const withLabels = (name, key, extra = "") => {
+  const all = [key, extra].filter(Boolean).join(",")
+  return all ? `${name}{${all}}` : name
+}
+
+const register = (name, type, help, metric) => {
+  if (metrics.has(name)) return metrics.get(name)
+  metrics.set(name, { name, type, help, ...metric })
+  return metrics.get(name)
+}
+
+export const counter = (name, help) => {
+  const values = new Map()
+  return register(name, "counter", help, {
+    values,
+    inc: (labels, by = 1) => {
+      const key = labelKey(labels)
+      values.set(key, (values.get(key) || 0) + by)
+    },
+    render() {
+      return [...values].map(([key, value]) => `${withLabels(name, key)} ${value}`)
+    },
+  })
+}
+
+export const gauge = (name, help) => {
+  const values = new Map()
+  return register(name, "gauge", help, {
+    values,
+    set: (labels, value) => values.set(labelKey(labels), value),
+    inc: (labels, by = 1) => values.set(labelKey(labels), (values.get(labelKey(labels)) || 0) + by),
+    dec: (labels, by = 1) => values.set(labelKey(labels), (values.get(labelKey(labels)) || 0) - by),
+    render() {
+      return [...values].map(([key, value]) => `${withLabels(name, key)} ${value}`)
+    },
+  })
+}
+
+// Latency buckets in seconds
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+export const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+  const series = new Map()
+  return register(name, "histogram", help, {
+    observe: (labels, value) => {
+      const key = labelKey(labels)
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 })
+      const entry = series.get(key)
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1
+      })
+      entry.sum += value
+      entry.count += 1
+    },
+    render() {
+      return [...series].flatMap(([key, { counts, sum, count }]) => [
+        ...buckets.map((bound, i) => `${withLabels(`${name}_bucket`, key, `le="${bound}"`)} ${counts[i]}`),
+        `${withLabels(`${name}_bucket`, key, 'le="+Inf"')} ${count}`,
+        `${withLabels(`${name}_sum`, key)} ${sum}`,
+        `${withLabels(`${name}_count`, key)} ${count}`,
+      ])
+    },
+  })
+}
+
+// Everything registered so far, in the Prometheus exposition format
+export const renderMetrics = () =>
+  [...metrics.values()]
+    .flatMap((metric) => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.render(),
+    ])
+    .join("\n") + "\n"
+
+/* =========================
+   APPLICATION METRICS
+========================= */
+
+export const httpRequestsTotal = counter("http_requests_total", "HTTP requests by method, route and status")
+
+export const httpRequestDuration = histogram(
+  "http_request_duration_seconds",
+  "HTTP request latency in seconds by method and route",
+)
+
+export const socketConnectionsActive = gauge("socket_connections_active", "Currently connected Socket.IO clients")
+socketConnectionsActive.set({}, 0)
+
+export const hiresTotal = counter("hires_total", "Freelancers hired")
+
+export const hireTransactionAbortsTotal = counter(
+  "hire_transaction_aborts_total",
+  "hireBid transactions rolled back, by error code",
+)
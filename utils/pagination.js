@@ -0,0 +1,70 @@
+import mongoose from "mongoose"
+import { BadRequestError } from "./errors.js"
+
+export const DEFAULT_PAGE_SIZE = 20
+export const MAX_PAGE_SIZE = 100
+
+export const parseLimit = (raw, fallback = DEFAULT_PAGE_SIZE) =>
+  Math.min(Math.max(parseInt(raw, 10) || fallback, 1), MAX_PAGE_SIZE)
+
+// Cursors are opaque base64url JSON: the last item's sort value and _id
+export const encodeCursor = (value, id) => {
+  const payload = value instanceof Date ? { v: value.toISOString(), d: 1, id } : { v: value ?? null, id }
+  return Buffer.from(JSON.stringify(payload)).toString("base64url")
+}
+
+export const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, "base64url").toString())
+
+    if (!mongoose.isValidObjectId(id)) throw new Error()
+
+    return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) }
+  } catch {
+    throw new BadRequestError("Invalid cursor", { code: "INVALID_CURSOR" })
+  }
+}
+
+// Cursor-paginate a query with a stable sort on `sortField` then `_id`.
+//
+// Returns { items, total, nextCursor }. `total` counts every document
+// matching `filter`, regardless of the cursor.
+export const paginate = async (
+  Model,
+  { filter = {}, sortField = "createdAt", direction = -1, cursor, limit, populate = [] },
+) => {
+  const pageSize = parseLimit(limit)
+  const op = direction === 1 ? "$gt" : "$lt"
+
+  let pageFilter = filter
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor)
+    const after =
+      sortField === "_id"
+        ? { _id: { [op]: id } }
+        : { $or: [{ [sortField]: { [op]: value } }, { [sortField]: value, _id: { [op]: id } }] }
+    pageFilter = { $and: [filter, after] }
+  }
+
+  let query = Model.find(pageFilter)
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(pageSize + 1)
+
+  for (const [path, select] of populate) {
+    query = query.populate(path, select)
+  }
+
+  const [items, total] = await Promise.all([query, Model.countDocuments(filter)])
+
+  // One extra document tells us whether there is another page
+  const hasMore = items.length > pageSize
+  if (hasMore) items.pop()
+
+  const last = items[items.length - 1]
+
+  return {
+    items,
+    total,
+    nextCursor: hasMore ? encodeCursor(last.get(sortField), last._id.toString()) : null,
+  }
+}
@@ -0,0 +1,66 @@
+// Counter store used by the rate limiters.
+//
+// A store holds fixed-window counters as { count, resetAt } and exposes:
+//
+//   increment(key, windowMs) -> { count, resetAt }   starts a new window when the old one ran out
+//   get(key)                 -> { count, resetAt } | null
+//   set(key, entry)          -> void                 entry.resetAt doubles as its expiry
+//   delete(key)              -> void
+//
+// Every method may return a promise, so a shared store (Redis, Memcached...)
+// can be swapped in with setRateLimitStore() when running several instances.
+
+const CLEANUP_INTERVAL_MS = 60 * 1000
+
+export const createMemoryStore = () => {
+  const entries = new Map()
+
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key)
+    if (entry && entry.resetAt <= now) {
+      entries.delete(key)
+      return null
+    }
+    return entry || null
+  }
+
+  // Drop expired counters so the map doesn't grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now()
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key)
+    }
+  }, CLEANUP_INTERVAL_MS)
+  cleanup.unref()
+
+  return {
+    increment(key, windowMs) {
+      const now = Date.now()
+      const entry = live(key, now) || { count: 0, resetAt: now + windowMs }
+      entry.count += 1
+      entries.set(key, entry)
+      return { ...entry }
+    },
+    get(key) {
+      const entry = live(key)
+      return entry ? { ...entry } : null
+    },
+    set(key, entry) {
+      entries.set(key, { ...entry })
+    },
+    delete(key) {
+      entries.delete(key)
+    },
+  }
+}
+
+let store = null
+
+export const getRateLimitStore = () => {
+  store = store || createMemoryStore()
+  return store
+}
+
+export const setRateLimitStore = (customStore) => {
+  store = customStore
+}
@@ -0,0 +1,163 @@
+import os from "os"
+import { randomUUID } from "crypto"
+import Job from "../models/Job.model.js"
+import { logger, runWithContext } from "./logger.js"
+
+// In-process job runner backed by the Job collection.
+//
+//   defineJob(name, handler)                 register what a job name does
+//   scheduleJob(name, { key, runAt, payload }) one-off job, replacing any job with the same key
+//   scheduleRecurringJob(name, intervalMs)   job that runs every intervalMs, created once
+//   cancelJob(key)                           drop a job that hasn't run yet
+//   startScheduler({ context, pollMs })      poll for due jobs until stopScheduler()
+//
+// Jobs are claimed with an atomic update and a lock, so several instances can
+// poll the same collection and a job whose process died mid-run is picked up
+// again once its lock expires. One-off jobs are removed when they succeed and
+// retried with backoff when they fail; recurring jobs simply run again at
+// their next interval. Handlers should be idempotent.
+
+// Long enough for any handler; a job still "running" after this is presumed dead
+const LOCK_MS = 5 * 60 * 1000
+
+// Retry delay after the first failure, doubled on every further attempt
+const RETRY_BASE_MS = 30 * 1000
+
+// Jobs run per poll, so a backlog can't monopolise the process
+const MAX_JOBS_PER_TICK = 50
+
+const workerId = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`
+
+const handlers = new Map()
+
+const unlocked = { lockedUntil: null, lockedBy: null }
+
+// Register `handler({ payload, now, job, ...context })` for jobs called `name`
+export const defineJob = (name, handler) => {
+  handlers.set(name, handler)
+}
+
+export const scheduleJob = (name, { key = name, runAt = new Date(), payload = {} } = {}) =>
+  Job.findOneAndUpdate(
+    { key },
+    {
+      $set: { name, payload, runAt, intervalMs: null, status: "scheduled", attempts: 0, lastError: null, ...unlocked },
+    },
+    { upsert: true, new: true },
+  )
+
+// Recurring jobs keep their schedule across restarts; only the interval is updated
+export const scheduleRecurringJob = (name, intervalMs, { firstRunAt = new Date() } = {}) =>
+  Job.findOneAndUpdate(
+    { key: name },
+    { $set: { intervalMs }, $setOnInsert: { name, runAt: firstRunAt, status: "scheduled" } },
+    { upsert: true, new: true },
+  )
+
+export const cancelJob = (key) => Job.deleteOne({ key, status: { $ne: "running" } })
+
+// Take the next due job, or one whose runner died
+const claimNextJob = (now) =>
+  Job.findOneAndUpdate(
+    {
+      name: { $in: [...handlers.keys()] },
+      $or: [
+        { status: "scheduled", runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: { status: "running", lockedBy: workerId, lockedUntil: new Date(now.getTime() + LOCK_MS), lastRunAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true },
+  )
+
+const finishJob = (job, update) => Job.updateOne({ _id: job._id, lockedBy: workerId }, update)
+
+const runJob = async (job, context, now) => {
+  const log = logger.child({ jobId: job._id.toString(), job: job.name })
+
+  try {
+    await runWithContext({ jobId: job._id.toString(), job: job.name }, () =>
+      handlers.get(job.name)({ ...context, payload: job.payload, now, job }),
+    )
+
+    if (job.intervalMs) {
+      await finishJob(job, {
+        $set: {
+          status: "scheduled",
+          runAt: new Date(now.getTime() + job.intervalMs),
+          attempts: 0,
+          lastError: null,
+          ...unlocked,
+        },
+      })
+    } else {
+      await Job.deleteOne({ _id: job._id, lockedBy: workerId })
+    }
+
+    log.debug("job completed")
+  } catch (err) {
+    const retry = job.intervalMs || job.attempts < job.maxAttempts
+    const delay = job.intervalMs || RETRY_BASE_MS * 2 ** (job.attempts - 1)
+
+    log.error("job failed", { err, attempt: job.attempts, willRetry: Boolean(retry) })
+
+    await finishJob(job, {
+      $set: {
+        status: retry ? "scheduled" : "failed",
+        runAt: new Date(now.getTime() + delay),
+        lastError: err.message,
+        ...unlocked,
+      },
+    })
+  }
+}
+
+// Run every job that is due at `now`. Returns how many ran.
+export const runDueJobs = async (context = {}, now = new Date()) => {
+  let ran = 0
+
+  while (ran < MAX_JOBS_PER_TICK) {
+    const job = await claimNextJob(now)
+    if (!job) break
+
+    await runJob(job, context, now)
+    ran += 1
+  }
+
+  return ran
+}
+
+let timer = null
+let currentTick = null
+
+// Poll for due jobs every `pollMs`. `context` is handed to every handler,
+// e.g. { io } so jobs can send notifications.
+export const startScheduler = ({ context = {}, pollMs }) => {
+  if (timer) return
+
+  const tick = () => {
+    if (currentTick) return
+
+    currentTick = runDueJobs(context)
+      .catch((err) => logger.error("scheduler tick failed", { err }))
+      .finally(() => {
+        currentTick = null
+      })
+  }
+
+  timer = setInterval(tick, pollMs)
+  timer.unref()
+  tick()
+
+  logger.info("scheduler started", { pollMs, jobs: [...handlers.keys()] })
+}
+
+// Stop polling and wait for the jobs already running to finish
+export const stopScheduler = async () => {
+  clearInterval(timer)
+  timer = null
+  await currentTick
+}
@@ -0,0 +1,100 @@
+import mongoose from "mongoose"
+import { logger } from "./logger.js"
+
+// Graceful shutdown. On SIGTERM/SIGINT (or a fatal error) the process:
+//   1. flags itself as shutting down so readiness checks fail and load
+//      balancers stop routing to it,
+//   2. stops background jobs,
+//   3. stops accepting connections and lets in-flight requests finish,
+//   4. tells socket clients to reconnect elsewhere and disconnects them,
+//   5. disconnects Mongoose,
+// and exits. If that takes longer than the timeout it exits anyway.
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000
+
+let shuttingDown = false
+
+export const isShuttingDown = () => shuttingDown
+
+// Ask keep-alive clients to open a new connection (to another instance)
+// for anything sent after shutdown has begun
+export const closeConnectionsOnShutdown = (req, res, next) => {
+  if (shuttingDown) res.set("Connection", "close")
+  next()
+}
+
+// Keep-alive sockets that go idle after their last response would hold
+// close() open until they time out, so they are swept while draining
+const IDLE_SWEEP_MS = 250
+
+const closeHttpServer = (httpServer) =>
+  new Promise((resolve) => {
+    if (!httpServer.listening) return resolve()
+
+    const sweep = setInterval(() => httpServer.closeIdleConnections(), IDLE_SWEEP_MS)
+    httpServer.close(() => {
+      clearInterval(sweep)
+      resolve()
+    })
+    httpServer.closeIdleConnections()
+  })
+
+// Run the shutdown sequence once; later calls wait for the first one
+let shutdownPromise = null
+
+export const shutdown = ({ httpServer, io, onShutdown = [], timeoutMs = DEFAULT_TIMEOUT_MS }, reason, exitCode = 0) => {
+  if (shutdownPromise) return shutdownPromise
+  shuttingDown = true
+
+  logger.info("shutdown started", { reason, timeoutMs })
+
+  const timer = setTimeout(() => {
+    logger.error("shutdown timed out, forcing exit", { timeoutMs })
+    httpServer.closeAllConnections()
+    process.exit(1)
+  }, timeoutMs)
+  timer.unref()
+
+  shutdownPromise = (async () => {
+    try {
+      for (const stop of onShutdown) await stop()
+
+      const httpClosed = closeHttpServer(httpServer)
+
+      if (io) {
+        io.emit("server:shutdown")
+        io.disconnectSockets(true)
+      }
+
+      await httpClosed
+      await mongoose.disconnect()
+
+      logger.info("shutdown complete")
+    } catch (err) {
+      logger.error("shutdown failed", { err })
+      exitCode = 1
+    } finally {
+      clearTimeout(timer)
+      process.exit(exitCode)
+    }
+  })()
+
+  return shutdownPromise
+}
+
+// Shut down cleanly on SIGTERM/SIGINT and after unhandled errors
+export const registerShutdownHandlers = (options) => {
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, () => shutdown(options, signal))
+  }
+
+  process.on("unhandledRejection", (err) => {
+    logger.error("unhandled rejection", { err })
+    shutdown(options, "unhandledRejection", 1)
+  })
+
+  process.on("uncaughtException", (err) => {
+    logger.error("uncaught exception", { err })
+    shutdown(options, "uncaughtException", 1)
+  })
+}
@@ -0,0 +1,8 @@
+// "Node.js & React" -> "node-js-react"
+export const slugify = (value) =>
+  String(value)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")